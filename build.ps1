@@ -38,21 +38,33 @@ $builds = @(
         OutputName = "gcodeviewer"
         JsFiles = @(
             "src/js/fluidnc-api.js",
+            "src/js/segment-store.js",
+            "src/js/metadata-extractor.js",
             "src/js/parser.js",
+            "src/js/parser-worker.js",
             "src/js/camera.js",
             "src/js/renderer2d.js",
             "src/js/renderer3d.js",
             "src/js/animator.js",
+            "src/js/toolpath-checker.js",
+            "src/js/stock-simulator.js",
+            "src/js/tool-library.js",
             "src/js/controller.js",
             "src/js/fluidnc-controller.js"
         )
         ScriptTags = @"
     <script src="js/fluidnc-api.js"></script>
+    <script src="js/segment-store.js"></script>
+    <script src="js/metadata-extractor.js"></script>
     <script src="js/parser.js"></script>
+    <script src="js/parser-worker.js"></script>
     <script src="js/camera.js"></script>
     <script src="js/renderer2d.js"></script>
     <script src="js/renderer3d.js"></script>
     <script src="js/animator.js"></script>
+    <script src="js/toolpath-checker.js"></script>
+    <script src="js/stock-simulator.js"></script>
+    <script src="js/tool-library.js"></script>
     <script src="js/controller.js"></script>
     <script src="js/fluidnc-controller.js"></script>
 "@
@@ -62,19 +74,31 @@ $builds = @(
         SourceHtml = "src/index.html"
         OutputName = "standalone"
         JsFiles = @(
+            "src/js/segment-store.js",
+            "src/js/metadata-extractor.js",
             "src/js/parser.js",
+            "src/js/parser-worker.js",
             "src/js/camera.js",
             "src/js/renderer2d.js",
             "src/js/renderer3d.js",
             "src/js/animator.js",
+            "src/js/toolpath-checker.js",
+            "src/js/stock-simulator.js",
+            "src/js/tool-library.js",
             "src/js/controller.js"
         )
         ScriptTags = @"
+    <script src="js/segment-store.js"></script>
+    <script src="js/metadata-extractor.js"></script>
     <script src="js/parser.js"></script>
+    <script src="js/parser-worker.js"></script>
     <script src="js/camera.js"></script>
     <script src="js/renderer2d.js"></script>
     <script src="js/renderer3d.js"></script>
     <script src="js/animator.js"></script>
+    <script src="js/toolpath-checker.js"></script>
+    <script src="js/stock-simulator.js"></script>
+    <script src="js/tool-library.js"></script>
     <script src="js/controller.js"></script>
 "@
     },
@@ -83,21 +107,33 @@ $builds = @(
         SourceHtml = "src/font-creator.html"
         OutputName = "fontcreator"
         JsFiles = @(
+            "src/js/segment-store.js",
+            "src/js/metadata-extractor.js",
             "src/js/parser.js",
+            "src/js/parser-worker.js",
             "src/js/camera.js",
             "src/js/renderer2d.js",
             "src/js/renderer3d.js",
             "src/js/animator.js",
+            "src/js/toolpath-checker.js",
+            "src/js/stock-simulator.js",
+            "src/js/tool-library.js",
             "src/js/controller.js",
             "src/js/font-creator-controller.js",
             "src/js/font-creator-app.js"
         )
         ScriptTags = @"
+    <script src="js/segment-store.js"></script>
+    <script src="js/metadata-extractor.js"></script>
     <script src="js/parser.js"></script>
+    <script src="js/parser-worker.js"></script>
     <script src="js/camera.js"></script>
     <script src="js/renderer2d.js"></script>
     <script src="js/renderer3d.js"></script>
     <script src="js/animator.js"></script>
+    <script src="js/toolpath-checker.js"></script>
+    <script src="js/stock-simulator.js"></script>
+    <script src="js/tool-library.js"></script>
     <script src="js/controller.js"></script>
     <script src="js/font-creator-controller.js"></script>
     <script src="js/font-creator-app.js"></script>
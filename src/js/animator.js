@@ -5,7 +5,7 @@
 
 class Animator {
     constructor() {
-        this.segments = [];
+        this.segments = new SegmentStore();
         this.currentIndex = 0;
         this.segmentProgress = 0; // 0-1 progress within current segment
         this.isPlaying = false;
@@ -14,6 +14,8 @@ class Animator {
         this.accumulatedTime = 0;
         this.estimatedTotalTime = 0;
         this.toolTimes = new Map(); // Per-tool time estimates in seconds
+        this.operationTimes = new Map(); // Per-operation time estimates in seconds (all moves)
+        this.operationCutLengths = new Map(); // Per-operation cutting distance in mm
         
         // Machine settings for time estimation
         this.rapidSpeed = 3000; // mm/min - default/fallback
@@ -48,37 +50,46 @@ class Animator {
 
     /**
      * Set segments for animation
+     * @param {SegmentStore} segments - Parsed segments
+     * @param {boolean} keepPosition - Keep the playback position instead of starting over
      */
-    setSegments(segments) {
+    setSegments(segments, keepPosition = false) {
         this.segments = segments;
+        this.calculateTotalTime();
+        this.calculateDistances();
+        
+        if (keepPosition) {
+            // Re-parses of the same program keep the playback position, as far as the new segments reach
+            this.currentIndex = Math.min(this.currentIndex, segments.length);
+            this.accumulatedTime = Math.min(this.accumulatedTime, this.totalDistance);
+            return;
+        }
         this.currentIndex = 0;
         this.segmentProgress = 0;
         this.accumulatedTime = 0;
-        this.calculateTotalTime();
-        this.calculateDistances();
     }
 
     /**
      * Calculate cumulative distances for distance-based animation
      */
     calculateDistances() {
-        this.segmentDistances = [];
+        this.segmentDistances = new Float64Array(this.segments.length);
         let totalDistance = 0;
+        this.operationCutLengths.clear();
+        
+        const { operation } = this.segments.columns;
         
         for (let i = 0; i < this.segments.length; i++) {
-            const seg = this.segments[i];
-            
             // Only count cutting moves, skip rapid moves (they'll be instant)
-            if (seg.type === 'cut') {
-                const dx = seg.end.x - seg.start.x;
-                const dy = seg.end.y - seg.start.y;
-                const dz = seg.end.z - seg.start.z;
-                const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
+            if (this.segments.getType(i) === 'cut') {
+                // Arc pieces count their arc length, not the chord
+                const distance = this.segments.getLength(i);
                 
                 totalDistance += distance;
+                this.operationCutLengths.set(operation[i], (this.operationCutLengths.get(operation[i]) || 0) + distance);
             }
             
-            this.segmentDistances.push(totalDistance);
+            this.segmentDistances[i] = totalDistance;
         }
         
         this.totalDistance = totalDistance;
@@ -90,11 +101,17 @@ class Animator {
     calculateTotalTime() {
         this.estimatedTotalTime = 0;
         this.toolTimes.clear();
+        this.operationTimes.clear();
+        
+        // Slide a three-segment window so each segment is unpacked from the store only once
+        let prevSeg = null;
+        let seg = null;
+        let nextSeg = this.segments.length > 0 ? this.segments.get(0) : null;
         
         for (let i = 0; i < this.segments.length; i++) {
-            const seg = this.segments[i];
-            const prevSeg = i > 0 ? this.segments[i - 1] : null;
-            const nextSeg = i < this.segments.length - 1 ? this.segments[i + 1] : null;
+            prevSeg = seg;
+            seg = nextSeg;
+            nextSeg = i < this.segments.length - 1 ? this.segments.get(i + 1) : null;
             
             let segmentTime = 0;
             
@@ -105,17 +122,27 @@ class Animator {
                 segmentTime += this.autoToolChangeTime;
             }
             
+            // Add G4 / canned cycle dwell that precedes this segment
+            if (seg.dwell) {
+                segmentTime += seg.dwell;
+            }
+            
             // Calculate move time based on type with junction velocities
-            if (seg.type === 'cut' && seg.feedRate > 0) {
-                const feedRate = seg.feedRate;
-                const prevFeedRate = prevSeg && prevSeg.type === 'cut' ? prevSeg.feedRate : 0;
-                const nextFeedRate = nextSeg && nextSeg.type === 'cut' ? nextSeg.feedRate : 0;
+            // Probe moves run at the feed rate; G28/G30 reference moves are rapids
+            const isFeedMove = seg.type === 'cut' || seg.type === 'probe';
+            const feedRate = isFeedMove ? this.getFeedRate(seg) : 0;
+            if (isFeedMove && seg.feedMode === 'inverseTime') {
+                // G93 moves take 1/F minutes whatever their length, so rotary-only moves take time too
+                if (seg.feedRate > 0) segmentTime += 60 / seg.feedRate;
+            } else if (isFeedMove && feedRate > 0) {
+                const prevFeedRate = prevSeg && prevSeg.type === seg.type ? this.getFeedRate(prevSeg) : 0;
+                const nextFeedRate = nextSeg && nextSeg.type === seg.type ? this.getFeedRate(nextSeg) : 0;
                 
                 const entryVel = this.calculateJunctionVelocity(prevSeg, seg, prevFeedRate, feedRate);
                 const exitVel = this.calculateJunctionVelocity(seg, nextSeg, feedRate, nextFeedRate);
                 
                 segmentTime += this.calculateMoveTime(seg, feedRate, entryVel, exitVel);
-            } else if (seg.type === 'rapid') {
+            } else if (seg.type === 'rapid' || seg.type === 'home') {
                 // Calculate rapid feedrate based on move direction and per-axis limits
                 const dx = seg.end.x - seg.start.x;
                 const dy = seg.end.y - seg.start.y;
@@ -146,17 +173,23 @@ class Animator {
                         rapidFeedRate = this.rapidSpeed;
                     }
                     
-                    const prevIsRapid = prevSeg && prevSeg.type === 'rapid';
-                    const nextIsRapid = nextSeg && nextSeg.type === 'rapid';
+                    const prevIsRapid = prevSeg && prevSeg.type === seg.type;
+                    const nextIsRapid = nextSeg && nextSeg.type === seg.type;
                     
                     const entryVel = prevIsRapid ? this.calculateJunctionVelocity(prevSeg, seg, rapidFeedRate, rapidFeedRate) : 0;
                     const exitVel = nextIsRapid ? this.calculateJunctionVelocity(seg, nextSeg, rapidFeedRate, rapidFeedRate) : 0;
                     
                     segmentTime += this.calculateMoveTime(seg, rapidFeedRate, entryVel, exitVel);
                 }
+            } else if (seg.type === 'retract' && seg.feedRate > 0) {
+                // Printer retracts run at the feed rate; most move only the filament, which sets their length
+                const length = Math.max(SegmentStore.pathLength(seg.end.x - seg.start.x, seg.end.y - seg.start.y,
+                    seg.end.z - seg.start.z, seg.radius, seg.sweep), Math.abs(seg.extrusion));
+                segmentTime += length / (seg.feedRate / 60);
             }
             
             this.estimatedTotalTime += segmentTime;
+            this.operationTimes.set(seg.operation, (this.operationTimes.get(seg.operation) || 0) + segmentTime);
             
             // Track per-tool time (only for cutting moves)
             if (seg.type === 'cut') {
@@ -167,16 +200,37 @@ class Animator {
         }
     }
 
+    /**
+     * Get the feed rate of a move in mm/min, converting from the feed mode it was programmed in
+     * G93 inverse time: F per minute means the move takes 1/F minutes whatever its length.
+     * G95 feed per revolution: F mm per turn at the spindle speed of the move.
+     */
+    getFeedRate(seg) {
+        switch (seg.feedMode) {
+            case 'inverseTime': {
+                const dx = seg.end.x - seg.start.x;
+                const dy = seg.end.y - seg.start.y;
+                const dz = seg.end.z - seg.start.z;
+                return SegmentStore.pathLength(dx, dy, dz, seg.radius, seg.sweep) * seg.feedRate;
+            }
+            case 'perRevolution':
+                return seg.feedRate * seg.spindleSpeed;
+            default:
+                return seg.feedRate;
+        }
+    }
+
     /**
      * Calculate time for a move considering acceleration and entry/exit velocities
      * Uses trapezoidal velocity profile with entry and exit velocities
+     * @param {number} feedRate - Target feed rate in mm/min (see getFeedRate)
      */
     calculateMoveTime(seg, feedRate, entryVelocity = 0, exitVelocity = 0) {
         const dx = seg.end.x - seg.start.x;
         const dy = seg.end.y - seg.start.y;
         const dz = seg.end.z - seg.start.z;
         
-        const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
+        const distance = SegmentStore.pathLength(dx, dy, dz, seg.radius, seg.sweep);
         if (distance === 0) return 0;
         
         // Target velocity in mm/s
@@ -326,6 +380,20 @@ class Animator {
         return this.formatDuration(time);
     }
     
+    /**
+     * Get formatted time for an operation (index into the parser's operation list)
+     */
+    getOperationTime(operation) {
+        return this.formatDuration(this.operationTimes.get(operation) || 0);
+    }
+    
+    /**
+     * Get the cutting distance of an operation in mm
+     */
+    getOperationCutLength(operation) {
+        return this.operationCutLengths.get(operation) || 0;
+    }
+    
     /**
      * Get all tool times
      */
@@ -467,7 +535,7 @@ class Animator {
             
             // Calculate progress within the current segment
             if (targetIndex < this.segments.length) {
-                const seg = this.segments[targetIndex];
+                const seg = this.segments.get(targetIndex);
                 const segStartDistance = targetIndex > 0 ? this.segmentDistances[targetIndex - 1] : 0;
                 const segEndDistance = this.segmentDistances[targetIndex];
                 const segTotalDistance = segEndDistance - segStartDistance;
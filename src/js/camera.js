@@ -30,8 +30,9 @@ class Camera {
 
     /**
      * Fit camera to bounds
+     * @param {Object} bounds2d - Bounds for the 2D view when it draws differently from 3D (e.g. unrolled rotary)
      */
-    fitToBounds(bounds, padding = 0.1, canvasWidth = 800, canvasHeight = 600) {
+    fitToBounds(bounds, padding = 0.1, canvasWidth = 800, canvasHeight = 600, bounds2d = bounds) {
         const centerX = (bounds.minX + bounds.maxX) / 2;
         const centerY = (bounds.minY + bounds.maxY) / 2;
         const centerZ = (bounds.minZ + bounds.maxZ) / 2;
@@ -52,23 +53,26 @@ class Camera {
         const safeCanvasWidth = canvasWidth > 0 ? canvasWidth : 800;
         const safeCanvasHeight = canvasHeight > 0 ? canvasHeight : 600;
         
+        const width2d = bounds2d.maxX - bounds2d.minX;
+        const height2d = bounds2d.maxY - bounds2d.minY;
+        
         // Reduce padding for tighter fit - use smaller padding for 2D view
-        const paddedWidth = Math.max(width * (1 + padding * 0.5), 1);
-        const paddedHeight = Math.max(height * (1 + padding * 0.5), 1);
+        const paddedWidth = Math.max(width2d * (1 + padding * 0.5), 1);
+        const paddedHeight = Math.max(height2d * (1 + padding * 0.5), 1);
         
         const scaleX = safeCanvasWidth / paddedWidth;
         const scaleY = safeCanvasHeight / paddedHeight;
         const fitZoom = Math.min(scaleX, scaleY);
         
         console.log('Camera fitToBounds:', {
-            bounds: { width, height },
+            bounds: { width: width2d, height: height2d },
             canvas: { width: safeCanvasWidth, height: safeCanvasHeight },
-            center: { x: centerX, y: centerY },
+            center: { x: (bounds2d.minX + bounds2d.maxX) / 2, y: (bounds2d.minY + bounds2d.maxY) / 2 },
             scales: { x: scaleX, y: scaleY, chosen: fitZoom }
         });
         
         // Reset 2D view centered and fitted
-        this.pan2d = { x: centerX, y: centerY };
+        this.pan2d = { x: (bounds2d.minX + bounds2d.maxX) / 2, y: (bounds2d.minY + bounds2d.maxY) / 2 };
         this.zoom2d = fitZoom;
         this.targetPan2d = { ...this.pan2d };
         this.targetZoom2d = this.zoom2d;
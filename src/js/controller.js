@@ -4,11 +4,32 @@
  */
 
 class Controller {
+    // Default colors for slicer feature types, matched in order against the ;TYPE: name
+    // (outer walls before walls, bridges and solid infill before infill)
+    static FEATURE_COLORS = [
+        [/outer|external/i, '#ff8000'],
+        [/bridge/i, '#4080ff'],
+        [/skin|solid|top|bottom|ironing/i, '#e03030'],
+        [/fill/i, '#a040ff'],
+        [/wall|perimeter/i, '#ffd000'],
+        [/support/i, '#30c050'],
+        [/skirt|brim|prime/i, '#20c0c0']
+    ];
+
     constructor() {
         // Initialize modules
         this.parser = new GCodeParser();
+        this.parserWorker = new ParserWorker();
+        this.loadCounter = 0; // Incremented per file load so stale loads can bail out
+        this.gcodeFile = null; // Loaded program as a File/Blob, parsed again when a parser setting changes
+        this.gcodeIdPrefix = ''; // Element ID prefix the program is shown with
+        this.gcodeListed = false; // False while a load is in flight
+        this.reparsePending = false; // A parser setting changed during a load
         this.camera = new Camera();
         this.animator = new Animator();
+        this.checker = new ToolpathChecker();
+        this.simulator = new StockSimulator();
+        this.toolLibrary = new ToolLibrary();
         
         // Get canvas elements
         this.canvas2d = document.getElementById('canvas2d');
@@ -21,7 +42,7 @@ class Controller {
         
         // State
         this.currentView = '2d';
-        this.segments = [];
+        this.segments = new SegmentStore();
         this.bounds = null;
         this.isDragging = false;
         this.lastMouseX = 0;
@@ -29,15 +50,42 @@ class Controller {
         this.isShiftPressed = false;
         
         // Tool state
-        this.tools = new Map(); // { toolNum: { visible: bool, color: string } }
+        this.tools = new Map(); // { toolNum: { visible: bool, color: string, library, geometry } } - see matchToolLibrary()
+        this.operations = new Map(); // { operation index: { visible, color, name, lineNum } }
+        this.isolatedOperation = null; // Operation shown alone after clicking its name
         this.toolColors = [
             '#00ccff', '#00ff88', '#ff4dff', '#ffff00',
             '#ff8800', '#8888ff', '#ff0088', '#00ffff'
         ];
         
-        // Rapid move (G0) state
-        this.rapidMovesVisible = true;
-        this.rapidMoveColor = '#999999'; // Default gray color
+        // Non-cutting move state: rapid (G0), probe (G38.x), home (G28/G30) and printer retracts
+        this.moveTypes = {
+            rapid: { visible: true, color: '#999999' },
+            probe: { visible: true, color: '#00a0b0' },
+            home: { visible: true, color: '#a040c0' },
+            retract: { visible: true, color: '#e04040' }
+        };
+        
+        // Cut move coloring: 'tool', 'operation', 'spindle' (spindle speed), 'layer' or 'feature' (3D printing)
+        this.colorMode = 'tool';
+        this.showKerf = false; // Draw cuts in the 2D view as wide as the tool diameter
+        this.featureColors = []; // Hex color per parser feature index when printing
+        
+        // Rotary (4th axis) display: 'wrapped' wraps the 3D view around the stock and unrolls the 2D view
+        this.rotary = { mode: 'off', axis: 'A', diameter: 50 };
+        
+        // Laser mode: laser-off moves are travel and cuts are shaded by power (S / maxPower)
+        this.laser = { enabled: false, maxPower: 1000 };
+        
+        // Stock box { minX, minY, minZ, maxX, maxY, maxZ } in mm, pre-filled from CAM header comments
+        this.stock = null;
+        this.stockEdited = false; // Keep values the user typed when a file has no stock in its header
+        
+        // Material removal simulation; the tool is used for tools without a diameter in the header
+        this.simulation = { enabled: false, tool: { shape: 'flat', diameter: 3.175, angle: 90 } };
+        
+        // Units for statistics display (parser geometry is always mm)
+        this.displayUnits = 'mm';
         
         // SpaceMouse state
         this.spaceMouseConnected = false;
@@ -50,6 +98,15 @@ class Controller {
         
         // Setup UI
         this.setupEventListeners();
+        this.setupWorkOffsets();
+        this.setupRotary();
+        this.setupLaser();
+        this.setupArcTolerance();
+        this.setupDialect();
+        this.setupToolpathCheck();
+        this.setupSimulation();
+        this.setupToolLibrary();
+        this.renderStockTable();
         this.setupAnimator();
         this.setupSpaceMouse();
         this.startRenderLoop();
@@ -242,7 +299,7 @@ class Controller {
         if (btnResetView) {
             btnResetView.addEventListener('click', () => {
                 if (this.segments.length > 0) {
-                    this.camera.fitToBounds(this.bounds, 0.1, this.canvas2d.width, this.canvas2d.height);
+                    this.fitCamera(this.canvas2d.width, this.canvas2d.height);
                     this.updateZoomSlider();
                 }
             });
@@ -373,24 +430,58 @@ class Controller {
             });
         }
         
-        // Rapid moves (G0) controls
-        const rapidVisibleCheckbox = document.getElementById('rapid-moves-visible');
-        const rapidColorPicker = document.getElementById('rapid-move-color');
+        // Rapid, probe, home and retract move controls
+        for (const [type, moveType] of Object.entries(this.moveTypes)) {
+            const visibleCheckbox = document.getElementById(`${type}-moves-visible`);
+            const colorPicker = document.getElementById(`${type}-move-color`);
+            
+            if (visibleCheckbox) {
+                visibleCheckbox.addEventListener('change', () => {
+                    moveType.visible = visibleCheckbox.checked;
+                    this.updateRenderers();
+                });
+            }
+            
+            if (colorPicker) {
+                colorPicker.addEventListener('input', () => {
+                    moveType.color = colorPicker.value;
+                    this.updateRenderers();
+                });
+            }
+        }
         
-        if (rapidVisibleCheckbox) {
-            rapidVisibleCheckbox.addEventListener('change', () => {
-                this.rapidMovesVisible = rapidVisibleCheckbox.checked;
+        // Color cutting moves by tool, operation, spindle speed, print layer or feature
+        const colorMode = document.getElementById('color-mode');
+        if (colorMode) {
+            colorMode.addEventListener('change', () => {
+                this.colorMode = colorMode.value;
                 this.updateRenderers();
             });
         }
         
-        if (rapidColorPicker) {
-            rapidColorPicker.addEventListener('input', () => {
-                this.rapidMoveColor = rapidColorPicker.value;
+        // Cut width (kerf) display in the 2D view
+        const kerfMode = document.getElementById('kerf-mode');
+        if (kerfMode) {
+            kerfMode.addEventListener('change', () => {
+                this.showKerf = kerfMode.checked;
                 this.updateRenderers();
             });
         }
         
+        // Display units (mm / inches)
+        const displayUnits = document.getElementById('display-units');
+        if (displayUnits) {
+            displayUnits.addEventListener('change', () => {
+                this.displayUnits = displayUnits.value;
+                if (this.bounds) {
+                    this.updateRangeStats(this.gcodeIdPrefix);
+                    this.updateLayerInputs(this.gcodeIdPrefix, true);
+                    this.updateJobInfo(this.gcodeIdPrefix);
+                    this.updateOperationPanel(this.gcodeIdPrefix);
+                }
+            });
+        }
+        
         // Mouse events for canvas
         this.setupCanvasEvents();
         
@@ -404,6 +495,641 @@ class Controller {
         });
     }
 
+    /**
+     * Setup work offset table (G54-G59.3) and coordinate frame selector
+     */
+    setupWorkOffsets() {
+        // Restore offsets saved from a previous session
+        try {
+            const saved = JSON.parse(localStorage.getItem('workOffsets'));
+            if (Array.isArray(saved)) this.parser.setWorkOffsets(saved);
+            const savedReferences = JSON.parse(localStorage.getItem('referencePositions'));
+            if (Array.isArray(savedReferences)) this.parser.setReferencePositions(savedReferences);
+        } catch (e) {
+            console.warn('Ignoring invalid saved work offsets:', e);
+        }
+        
+        const frameSelect = document.getElementById('coordinate-frame');
+        if (frameSelect) {
+            frameSelect.value = this.parser.coordinateFrame;
+            frameSelect.addEventListener('change', () => {
+                this.parser.setCoordinateFrame(frameSelect.value);
+                this.reparseGCode();
+            });
+        }
+        
+        this.renderWorkOffsetTable();
+    }
+
+    /**
+     * Build the editable stock box table
+     */
+    renderStockTable() {
+        const table = document.getElementById('stock-table');
+        if (!table) return;
+        
+        table.innerHTML = '<span></span><span>X</span><span>Y</span><span>Z</span>';
+        
+        for (const corner of ['min', 'max']) {
+            const label = document.createElement('span');
+            label.textContent = corner === 'min' ? 'Min' : 'Max';
+            table.appendChild(label);
+            
+            for (const axis of ['X', 'Y', 'Z']) {
+                const key = corner + axis;
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = '0.1';
+                input.value = this.stock ? +this.stock[key].toFixed(3) : '';
+                input.addEventListener('change', () => {
+                    this.stock = this.stock || { minX: 0, minY: 0, minZ: 0, maxX: 0, maxY: 0, maxZ: 0 };
+                    this.stock[key] = parseFloat(input.value) || 0;
+                    this.stockEdited = true;
+                    this.runToolpathCheck();
+                    this.configureSimulation();
+                    this.updateRenderers();
+                });
+                table.appendChild(input);
+            }
+        }
+    }
+
+    /**
+     * Pre-fill tool diameters and stock from the CAM header of the loaded file
+     */
+    applyJobInfo() {
+        const jobInfo = this.parser.getJobInfo();
+        
+        // Headers without tool numbers (e.g. Carbide Create) list tools in order of use
+        const unnumbered = jobInfo.tools.filter(tool => tool.number === null);
+        let index = 0;
+        for (const [toolNum, toolState] of this.tools) {
+            const headerTool = jobInfo.tools.find(tool => tool.number === toolNum) || unnumbered[index++];
+            if (!headerTool) continue;
+            
+            toolState.diameter = headerTool.diameter;
+            if (headerTool.name && toolState.name === `Tool ${toolNum}`) toolState.name = headerTool.name;
+        }
+        
+        if (jobInfo.stock || !this.stockEdited) {
+            this.stock = jobInfo.stock;
+            this.stockEdited = false;
+            this.renderStockTable();
+        }
+    }
+
+    /**
+     * Setup rotary axis display controls
+     */
+    setupRotary() {
+        // Restore settings saved from a previous session
+        try {
+            const saved = JSON.parse(localStorage.getItem('rotary'));
+            if (saved) this.rotary = { ...this.rotary, ...saved };
+        } catch (e) {
+            console.warn('Ignoring invalid saved rotary settings:', e);
+        }
+        
+        const controls = {
+            mode: document.getElementById('rotary-mode'),
+            axis: document.getElementById('rotary-axis'),
+            diameter: document.getElementById('rotary-diameter')
+        };
+        
+        for (const [key, input] of Object.entries(controls)) {
+            if (!input) continue;
+            input.value = this.rotary[key];
+            input.addEventListener('change', () => {
+                this.rotary[key] = key === 'diameter' ? Math.max(0, parseFloat(input.value) || 0) : input.value;
+                this.applyRotarySettings();
+            });
+        }
+    }
+
+    /**
+     * Setup laser mode controls
+     */
+    setupLaser() {
+        // Restore settings saved from a previous session
+        try {
+            const saved = JSON.parse(localStorage.getItem('laser'));
+            if (saved) this.laser = { ...this.laser, ...saved };
+        } catch (e) {
+            console.warn('Ignoring invalid saved laser settings:', e);
+        }
+        this.parser.setLaserMode(this.laser.enabled);
+        
+        const enabledCheckbox = document.getElementById('laser-mode');
+        if (enabledCheckbox) {
+            enabledCheckbox.checked = this.laser.enabled;
+            enabledCheckbox.addEventListener('change', () => {
+                this.laser.enabled = enabledCheckbox.checked;
+                localStorage.setItem('laser', JSON.stringify(this.laser));
+                
+                // Laser-off cuts change type, so the program has to be parsed again
+                this.parser.setLaserMode(this.laser.enabled);
+                this.reparseGCode();
+                this.updateRenderers();
+            });
+        }
+        
+        const maxPowerInput = document.getElementById('laser-max-power');
+        if (maxPowerInput) {
+            maxPowerInput.value = this.laser.maxPower;
+            maxPowerInput.addEventListener('change', () => {
+                this.laser.maxPower = parseFloat(maxPowerInput.value) > 0 ? parseFloat(maxPowerInput.value) : 1000;
+                maxPowerInput.value = this.laser.maxPower;
+                localStorage.setItem('laser', JSON.stringify(this.laser));
+                this.updateRenderers();
+            });
+        }
+    }
+
+    /**
+     * Setup the arc tessellation tolerance input
+     */
+    setupArcTolerance() {
+        // Restore the tolerance saved from a previous session
+        const saved = parseFloat(localStorage.getItem('arcTolerance'));
+        if (saved > 0) this.parser.setArcTolerance(saved);
+        
+        const input = document.getElementById('chord-tolerance');
+        if (!input) return;
+        
+        input.value = this.parser.arcTolerance;
+        input.addEventListener('change', () => {
+            this.parser.setArcTolerance(parseFloat(input.value));
+            input.value = this.parser.arcTolerance;
+            localStorage.setItem('arcTolerance', this.parser.arcTolerance);
+            this.reparseGCode();
+        });
+    }
+
+    /**
+     * Setup the G-code dialect selector
+     */
+    setupDialect() {
+        // Restore the dialect saved from a previous session
+        this.parser.setDialect(localStorage.getItem('dialect'));
+        
+        const select = document.getElementById('dialect');
+        if (!select) return;
+        
+        select.value = this.parser.dialect;
+        select.addEventListener('change', () => {
+            this.parser.setDialect(select.value);
+            localStorage.setItem('dialect', this.parser.dialect);
+            this.reparseGCode();
+        });
+    }
+
+    /**
+     * Setup the safe Z and plunge rate inputs of the toolpath check
+     */
+    setupToolpathCheck() {
+        // Restore settings saved from a previous session
+        try {
+            const saved = JSON.parse(localStorage.getItem('toolpathCheck'));
+            if (saved) this.checker.setSettings(saved);
+        } catch (e) {
+            console.warn('Ignoring invalid saved toolpath check settings:', e);
+        }
+        
+        const safeZInput = document.getElementById('check-safe-z');
+        const plungeInput = document.getElementById('check-max-plunge');
+        if (safeZInput && this.checker.safeZ !== null) safeZInput.value = this.checker.safeZ;
+        if (plungeInput && this.checker.maxPlungeRate > 0) plungeInput.value = this.checker.maxPlungeRate;
+        
+        const apply = () => {
+            // Blank safe Z falls back to the stock top, blank plunge rate turns the check off
+            this.checker.setSettings({
+                safeZ: safeZInput && safeZInput.value !== '' ? parseFloat(safeZInput.value) : null,
+                maxPlungeRate: plungeInput ? parseFloat(plungeInput.value) || 0 : 0
+            });
+            localStorage.setItem('toolpathCheck', JSON.stringify({
+                safeZ: this.checker.safeZ,
+                maxPlungeRate: this.checker.maxPlungeRate
+            }));
+            this.runToolpathCheck();
+            this.updateRenderers();
+        };
+        if (safeZInput) safeZInput.addEventListener('change', apply);
+        if (plungeInput) plungeInput.addEventListener('change', apply);
+    }
+
+    /**
+     * Setup the material removal simulation controls
+     */
+    setupSimulation() {
+        // Restore settings saved from a previous session
+        try {
+            const saved = JSON.parse(localStorage.getItem('simulation'));
+            if (saved) this.simulation = { ...this.simulation, ...saved };
+        } catch (e) {
+            console.warn('Ignoring invalid saved simulation settings:', e);
+        }
+        
+        const enabledCheckbox = document.getElementById('sim-enabled');
+        const shapeSelect = document.getElementById('sim-tool-shape');
+        const diameterInput = document.getElementById('sim-tool-diameter');
+        const angleInput = document.getElementById('sim-tool-angle');
+        if (enabledCheckbox) enabledCheckbox.checked = this.simulation.enabled;
+        if (shapeSelect) shapeSelect.value = this.simulation.tool.shape;
+        if (diameterInput) diameterInput.value = this.simulation.tool.diameter;
+        if (angleInput) angleInput.value = this.simulation.tool.angle;
+        
+        const apply = () => {
+            const tool = this.simulation.tool;
+            if (enabledCheckbox) this.simulation.enabled = enabledCheckbox.checked;
+            if (shapeSelect && StockSimulator.TOOL_SHAPES.includes(shapeSelect.value)) tool.shape = shapeSelect.value;
+            if (diameterInput && parseFloat(diameterInput.value) > 0) tool.diameter = parseFloat(diameterInput.value);
+            if (angleInput && parseFloat(angleInput.value) > 0 && parseFloat(angleInput.value) < 180) {
+                tool.angle = parseFloat(angleInput.value);
+            }
+            localStorage.setItem('simulation', JSON.stringify(this.simulation));
+            this.configureSimulation();
+        };
+        for (const input of [enabledCheckbox, shapeSelect, diameterInput, angleInput]) {
+            if (input) input.addEventListener('change', apply);
+        }
+    }
+
+    /**
+     * Get the stock box in the frame the segments are in; it is entered in work coordinates
+     * @returns {Object|null} { minX, minY, minZ, maxX, maxY, maxZ } in mm, or null
+     */
+    getFrameStock() {
+        if (!this.stock) return null;
+        const offset = this.parser.getFrameOffset();
+        return {
+            minX: this.stock.minX + offset.x, minY: this.stock.minY + offset.y, minZ: this.stock.minZ + offset.z,
+            maxX: this.stock.maxX + offset.x, maxY: this.stock.maxY + offset.y, maxZ: this.stock.maxZ + offset.z
+        };
+    }
+
+    /**
+     * Hand the loaded program, stock and tools to the simulator and start carving over
+     * Laser and 3D printing jobs don't remove stock, so they aren't simulated.
+     */
+    configureSimulation() {
+        const active = this.simulation.enabled && !this.laser.enabled && !this.parser.getPrintInfo().printing;
+        this.renderer2d.setSimulation(active ? this.simulator : null);
+        this.renderer3d.setSimulation(active ? this.simulator : null);
+        if (!active) return;
+        
+        const tools = new Map();
+        for (const [toolNum, toolState] of this.tools) {
+            tools.set(toolNum, toolState.geometry || {});
+        }
+        this.simulator.setTools(tools, this.simulation.tool);
+        this.simulator.setStock(this.getFrameStock());
+        this.simulator.setSegments(this.segments);
+    }
+
+    /**
+     * Carve the simulated stock up to what the renderers show, a budget of stamps per frame
+     */
+    stepSimulation() {
+        if (!this.renderer3d.simulation || this.rotary.mode === 'wrapped') return;
+        this.simulator.update(this.renderer3d.maxSegmentIndex, this.renderer3d.segmentProgress);
+    }
+
+    /**
+     * Restore the tool library and build its editor
+     */
+    setupToolLibrary() {
+        try {
+            this.toolLibrary.load(JSON.parse(localStorage.getItem('toolLibrary')));
+        } catch (e) {
+            console.warn('Ignoring invalid saved tool library:', e);
+        }
+        
+        const addButton = document.getElementById('tool-library-add');
+        if (addButton) {
+            addButton.addEventListener('click', () => {
+                this.toolLibrary.add();
+                this.applyToolLibrary();
+                this.renderToolLibrary();
+            });
+        }
+        this.renderToolLibrary();
+    }
+
+    /**
+     * Build the tool library editor, one box of inputs per tool
+     */
+    renderToolLibrary() {
+        const list = document.getElementById('tool-library-list');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        if (this.toolLibrary.entries.length === 0) {
+            list.innerHTML = '<div style="padding: 10px; opacity: 0.7; font-size: 12px;">No tools in the library</div>';
+            return;
+        }
+        
+        for (const entry of this.toolLibrary.entries) {
+            const item = document.createElement('div');
+            item.className = 'tool-library-item';
+            
+            const addField = (label, input, key, parse) => {
+                const labelSpan = document.createElement('span');
+                labelSpan.textContent = label;
+                input.value = entry[key] === null ? '' : entry[key];
+                input.addEventListener('change', () => {
+                    this.toolLibrary.update(entry.id, { [key]: parse(input.value) });
+                    this.applyToolLibrary();
+                    this.renderToolLibrary();
+                });
+                item.appendChild(labelSpan);
+                item.appendChild(input);
+            };
+            const numberInput = (step) => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0';
+                input.step = step;
+                return input;
+            };
+            
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.placeholder = 'Name in the G-code';
+            addField('Name', nameInput, 'name', value => value);
+            addField('T Number', numberInput('1'), 'number', value => value === '' ? null : parseInt(value, 10));
+            
+            const shapeSelect = document.createElement('select');
+            for (const [shape, label] of Object.entries(ToolLibrary.SHAPES)) {
+                const option = document.createElement('option');
+                option.value = shape;
+                option.textContent = label;
+                shapeSelect.appendChild(option);
+            }
+            addField('Shape', shapeSelect, 'shape', value => value);
+            addField('Diameter (mm)', numberInput('0.1'), 'diameter', parseFloat);
+            if (entry.shape === 'vbit' || entry.shape === 'drill') {
+                addField('Angle (°)', numberInput('1'), 'angle', parseFloat);
+            }
+            if (entry.shape !== 'laser') {
+                addField('Flute Length (mm)', numberInput('0.5'), 'fluteLength', parseFloat);
+                addField('Chip Load (mm)', numberInput('0.001'), 'chipLoad', parseFloat);
+            }
+            
+            const removeButton = document.createElement('button');
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => {
+                this.toolLibrary.remove(entry.id);
+                this.applyToolLibrary();
+                this.renderToolLibrary();
+            });
+            item.appendChild(removeButton);
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Save the tool library and apply it to the loaded program's tools
+     */
+    applyToolLibrary() {
+        localStorage.setItem('toolLibrary', JSON.stringify(this.toolLibrary));
+        this.matchToolLibrary();
+        this.updateToolPanel();
+        this.configureSimulation();
+        this.updateRenderers();
+    }
+
+    /**
+     * Look up each program tool in the tool library by T number or name
+     * Tools not in the library keep their header diameter as a shapeless geometry.
+     */
+    matchToolLibrary() {
+        for (const [toolNum, toolState] of this.tools) {
+            toolState.library = this.toolLibrary.match(toolNum, toolState.name);
+            if (toolState.library) {
+                toolState.geometry = ToolLibrary.getGeometry(toolState.library);
+            } else {
+                toolState.geometry = toolState.diameter ? { shape: null, diameter: toolState.diameter } : null;
+            }
+        }
+    }
+
+    /**
+     * Redraw and refit after the rotary display settings change
+     */
+    applyRotarySettings() {
+        localStorage.setItem('rotary', JSON.stringify(this.rotary));
+        this.updateRenderers();
+        if (this.segments.length > 0) {
+            this.fitCamera(this.canvas2d.width, this.canvas2d.height);
+            this.updateZoomSlider();
+        }
+    }
+
+    /**
+     * Switch the rotary display to the axis the loaded program turns, if it only uses other ones
+     */
+    selectRotaryAxis() {
+        const used = this.parser.rotaryAxes;
+        if (used.length === 0 || used.includes(this.rotary.axis)) return;
+        
+        this.rotary.axis = used[0];
+        const axisSelect = document.getElementById('rotary-axis');
+        if (axisSelect) axisSelect.value = this.rotary.axis;
+    }
+
+    /**
+     * Fit the camera to the toolpath as the renderers draw it (wrapped/unrolled for rotary)
+     */
+    fitCamera(width, height) {
+        this.camera.fitToBounds(this.renderer3d.getDisplayBounds(), 0.1, width, height, this.renderer2d.getDisplayBounds());
+    }
+
+    /**
+     * Build the editable work offset table, followed by the G28/G30 reference positions
+     */
+    renderWorkOffsetTable() {
+        const table = document.getElementById('work-offset-table');
+        if (!table) return;
+        
+        table.innerHTML = '<span></span><span>X</span><span>Y</span><span>Z</span>';
+        
+        const addRows = (codes, field) => {
+            codes.forEach((code, index) => {
+                const label = document.createElement('span');
+                label.textContent = 'G' + code;
+                table.appendChild(label);
+                
+                for (const axis of ['x', 'y', 'z']) {
+                    const input = document.createElement('input');
+                    input.type = 'number';
+                    input.step = '0.001';
+                    input.value = this.parser[field][index][axis];
+                    input.addEventListener('change', () => {
+                        this.parser[field][index][axis] = parseFloat(input.value) || 0;
+                        localStorage.setItem(field, JSON.stringify(this.parser[field]));
+                        this.reparseGCode();
+                    });
+                    table.appendChild(input);
+                }
+            });
+        };
+        
+        addRows(GCodeParser.WCS_CODES, 'workOffsets');
+        addRows(GCodeParser.REFERENCE_CODES, 'referencePositions');
+    }
+
+    /**
+     * Replace the work offset table (e.g. with values read from the machine)
+     * @param {Array<Object>} offsets - {x, y, z} in mm for G54 ... G59.3
+     * @param {Array<Object>} referencePositions - Optional {x, y, z} machine positions for G28 and G30
+     */
+    setWorkOffsets(offsets, referencePositions = null) {
+        this.parser.setWorkOffsets(offsets);
+        localStorage.setItem('workOffsets', JSON.stringify(this.parser.workOffsets));
+        if (referencePositions) {
+            this.parser.setReferencePositions(referencePositions);
+            localStorage.setItem('referencePositions', JSON.stringify(this.parser.referencePositions));
+        }
+        this.renderWorkOffsetTable();
+        return this.reparseGCode();
+    }
+
+    /**
+     * Set the machine's soft limits and check the loaded program against them
+     * @param {Object|null} limits - { min: {x, y, z}, max: {x, y, z} } in machine coordinates (mm), or null
+     */
+    setMachineLimits(limits) {
+        this.parser.setMachineLimits(limits);
+        return this.reparseGCode();
+    }
+
+    /**
+     * Re-parse the loaded GCode in the background worker after a parser setting changes
+     * A newer load or re-parse cancels this one.
+     */
+    async reparseGCode() {
+        if (!this.gcodeFile) return;
+        
+        // The load in flight was sent to the worker with the old settings, so parse again once it is shown
+        if (!this.gcodeListed) {
+            this.reparsePending = true;
+            return;
+        }
+        
+        const idPrefix = this.gcodeIdPrefix;
+        const progressBar = document.getElementById(`${idPrefix}progress-bar`);
+        const progressFill = document.getElementById(`${idPrefix}progress-fill`);
+        if (progressBar) {
+            progressBar.classList.remove('hidden');
+            progressFill.style.width = '0%';
+        }
+        
+        const loadId = ++this.loadCounter;
+        
+        try {
+            const segments = await this.parseFileInBackground(this.gcodeFile, (percent) => {
+                if (progressFill) progressFill.style.width = percent + '%';
+            });
+            if (loadId !== this.loadCounter) return;
+            
+            this.showParsedProgram(segments, idPrefix, false);
+            if (progressBar) progressBar.classList.add('hidden');
+        } catch (error) {
+            if (error.name === 'AbortError') return; // Superseded by a newer load or re-parse
+            console.error('Error re-parsing GCode:', error);
+            if (progressBar) progressBar.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Record the program a load is starting for, so settings changes re-parse it
+     * @param {File|Blob} file - The program
+     * @param {string} idPrefix - Element ID prefix it is shown with
+     * @returns {number} Load ID; the load is stale once `loadCounter` moves past it
+     */
+    startLoad(file, idPrefix = '') {
+        this.gcodeFile = file;
+        this.gcodeIdPrefix = idPrefix;
+        this.gcodeListed = false;
+        this.reparsePending = false;
+        return ++this.loadCounter;
+    }
+
+    /**
+     * Mark the loaded program as shown, and apply settings changed while it was loading
+     */
+    finishLoad() {
+        this.gcodeListed = true;
+        if (this.reparsePending) {
+            this.reparsePending = false;
+            this.reparseGCode();
+        }
+    }
+
+    /**
+     * Show freshly parsed segments in the renderers, animator, line slider and panels
+     * Shared by loads and re-parses; the G-code listing is left to the caller since re-parses keep it.
+     * @param {SegmentStore} segments - Parsed segments
+     * @param {string} idPrefix - Element ID prefix
+     * @param {boolean} newFile - False for re-parses, which keep the display units, view and playback position
+     */
+    showParsedProgram(segments, idPrefix = '', newFile = true) {
+        // Playback has drawn the first `shown` of the old segments unless it is at the end
+        const shown = this.segments && this.renderer2d.maxSegmentIndex < this.segments.length ?
+            { index: this.renderer2d.maxSegmentIndex, progress: this.renderer2d.segmentProgress } : null;
+        this.segments = segments;
+        this.bounds = this.parser.getBounds();
+        
+        // Default the display units to the units the program was written in
+        if (newFile) this.displayUnits = this.parser.getUnitsInfo().programUnits;
+        
+        // Detect tools used in the file
+        this.detectTools(segments);
+        this.detectOperations(segments);
+        this.detectPrintFeatures();
+        this.applyJobInfo();
+        this.matchToolLibrary();
+        
+        // Update renderers
+        this.renderer2d.setSegments(segments, this.bounds);
+        this.renderer3d.setSegments(segments, this.bounds);
+        
+        // Update renderers with tool states (colors and visibility)
+        this.updateRenderers();
+        
+        // Update animator
+        this.animator.setSegments(segments, !newFile);
+        
+        if (newFile) {
+            // Fit camera to bounds
+            this.fitCamera(this.canvas2d.width, this.canvas2d.height);
+        } else if (shown) {
+            const index = Math.min(shown.index, segments.length);
+            this.renderer2d.setMaxSegmentIndex(index, shown.progress);
+            this.renderer3d.setMaxSegmentIndex(index, shown.progress);
+        }
+        
+        // Update UI
+        this.updateStatistics(idPrefix);
+        this.updateDiagnosticsPanel(idPrefix);
+        this.updateToolPanel(idPrefix);
+        this.updateOperationPanel(idPrefix);
+        this.updateMoveTypePanel(idPrefix);
+        this.updatePrintPanel(idPrefix);
+        this.runToolpathCheck(idPrefix);
+        this.configureSimulation();
+        
+        // Setup line slider
+        const lineSlider = document.getElementById(`${idPrefix}line-slider`);
+        if (lineSlider) {
+            lineSlider.max = segments.length;
+            if (newFile) lineSlider.value = 0;
+        }
+        
+        const totalLinesSpan = document.getElementById(`${idPrefix}total-lines`);
+        if (totalLinesSpan) totalLinesSpan.textContent = segments.length;
+    }
+
     /**
      * Setup canvas mouse/touch events
      */
@@ -473,7 +1199,7 @@ class Controller {
         
         const onDoubleClick = () => {
             if (this.bounds) {
-                this.camera.fitToBounds(this.bounds);
+                this.fitCamera();
             }
         };
         
@@ -609,8 +1335,8 @@ class Controller {
             
             // Update current position and file line number
             if (index < this.segments.length) {
-                const segment = this.segments[index];
-                this.currentPosition = { x: segment.x1, y: segment.y1, z: segment.z1 };
+                const segment = this.segments.get(index);
+                this.currentPosition = { ...segment.start };
                 this.highlightGCodeLine(segment.lineNum);
                 document.getElementById('current-file-line').textContent = segment.lineNum || '-';
             } else {
@@ -632,38 +1358,21 @@ class Controller {
         progressBar.classList.remove('hidden');
         progressFill.style.width = '0%';
         
+        const loadId = this.startLoad(file);
+        
         try {
-            // Read file text for display
-            const text = await file.text();
-            this.gcodeText = text;
-            
-            const segments = await this.parser.parseFile(file, (percent) => {
+            const segments = await this.parseFileInBackground(file, (percent) => {
                 progressFill.style.width = percent + '%';
             });
+            if (loadId !== this.loadCounter) return; // A newer file was dropped meanwhile
             
-            this.segments = segments;
-            this.bounds = this.parser.getBounds();
-            
-            // Detect tools used in the file
-            this.detectTools(segments);
-            
-            // Update renderers
-            this.renderer2d.setSegments(segments, this.bounds);
-            this.renderer3d.setSegments(segments, this.bounds);
-            
-            // Update renderers with tool states (colors and visibility)
-            this.updateRenderers();
-            
-            // Update animator
-            this.animator.setSegments(segments);
-            
-            // Fit camera to bounds
-            this.camera.fitToBounds(this.bounds, 0.1, this.canvas2d.width, this.canvas2d.height);
+            this.showParsedProgram(segments);
             
-            // Update UI
-            this.updateStatistics();
+            // Read the listing only after parsing, so the streamed parse never holds the whole file
+            const text = await file.text();
+            if (loadId !== this.loadCounter) return;
             this.displayGCode(text);
-            this.updateToolPanel();
+            
             const gcodePanel = document.getElementById('gcode-panel');
             gcodePanel.style.visibility = 'visible';
             gcodePanel.style.position = 'static';
@@ -679,23 +1388,39 @@ class Controller {
             const welcomePanel = document.getElementById('gcode-welcome');
             if (welcomePanel) welcomePanel.style.display = 'none';
             
-            // Setup line slider
-            const lineSlider = document.getElementById('line-slider');
-            lineSlider.max = segments.length;
-            lineSlider.value = 0;
-            document.getElementById('total-lines').textContent = segments.length;
+            this.finishLoad();
             
             setTimeout(() => {
                 progressBar.classList.add('hidden');
             }, 500);
             
         } catch (error) {
+            if (error.name === 'AbortError') return; // Superseded by a newer file
+            this.gcodeFile = null;
             console.error('Error loading file:', error);
             alert('Error loading GCode file. Please check the console for details.');
             progressBar.classList.add('hidden');
         }
     }
 
+    /**
+     * Parse a file in the background worker, previewing segments in the 2D view as they arrive
+     * Starting another parse cancels this one (the promise rejects with an AbortError).
+     * @param {File|Blob} file - File to parse
+     * @param {Function} onProgress - Progress callback (percent)
+     * @returns {Promise<SegmentStore>} Parsed segments
+     */
+    async parseFileInBackground(file, onProgress) {
+        if (!ParserWorker.isSupported()) {
+            return this.parser.parseFile(file, onProgress);
+        }
+        
+        return this.parserWorker.parse(file, this.parser, onProgress, (segments) => {
+            // 2D rendering reads the (growing) array each frame, so this is cheap
+            this.renderer2d.setSegments(segments, null);
+        });
+    }
+
     /**
      * Load GCode from a string (for generated GCode, no file upload)
      * @param {string} gcodeText - The GCode text to parse and display
@@ -718,38 +1443,19 @@ class Controller {
             progressFill.style.width = '0%';
         }
         
+        // Keep a Blob so settings changes re-parse in the worker; a worker parse still running is dropped
+        const loadId = this.startLoad(new Blob([gcodeText], { type: 'text/plain' }), idPrefix);
+        this.parserWorker.cancel();
+        
         try {
-            this.gcodeText = gcodeText;
-            
-            // Parse string directly instead of going through Blob/File/FileReader
-            // to avoid chunking corruption issues
+            // Generated programs are small, so they are parsed right here
             const segments = await this.parser.parseString(gcodeText, (percent) => {
                 if (progressFill) progressFill.style.width = percent + '%';
             });
+            if (loadId !== this.loadCounter) return;
             
-            this.segments = segments;
-            this.bounds = this.parser.getBounds();
-            
-            // Detect tools used in the file
-            this.detectTools(segments);
-            
-            // Update renderers
-            this.renderer2d.setSegments(segments, this.bounds);
-            this.renderer3d.setSegments(segments, this.bounds);
-            
-            // Update renderers with tool states (colors and visibility)
-            this.updateRenderers();
-            
-            // Update animator
-            this.animator.setSegments(segments);
-            
-            // Fit camera to bounds
-            this.camera.fitToBounds(this.bounds, 0.1, this.canvas2d.width, this.canvas2d.height);
-            
-            // Update UI
-            this.updateStatistics(idPrefix);
+            this.showParsedProgram(segments, idPrefix);
             this.displayGCode(gcodeText, idPrefix);
-            this.updateToolPanel(idPrefix);
             
             const gcodePanel = document.getElementById(`${idPrefix}gcode-panel`);
             if (gcodePanel) {
@@ -776,15 +1482,7 @@ class Controller {
             const welcomePanel = document.getElementById(`${idPrefix}gcode-welcome`);
             if (welcomePanel) welcomePanel.style.display = 'none';
             
-            // Setup line slider
-            const lineSlider = document.getElementById(`${idPrefix}line-slider`);
-            if (lineSlider) {
-                lineSlider.max = segments.length;
-                lineSlider.value = 0;
-            }
-            
-            const totalLinesSpan = document.getElementById(`${idPrefix}total-lines`);
-            if (totalLinesSpan) totalLinesSpan.textContent = segments.length;
+            this.finishLoad();
             
             // Render initial view
             if (this.is3DView) {
@@ -800,6 +1498,7 @@ class Controller {
             }
             
         } catch (error) {
+            this.gcodeFile = null;
             console.error('Error loading GCode:', error);
             alert('Error parsing GCode. Please check the console for details.');
             if (progressBar) progressBar.classList.add('hidden');
@@ -811,9 +1510,10 @@ class Controller {
      */
     detectTools(segments) {
         const toolSet = new Set();
-        for (const seg of segments) {
-            if (seg.type !== 'rapid') {
-                toolSet.add(seg.tool || 1);
+        const toolColumn = segments.columns.tool;
+        for (let i = 0; i < segments.length; i++) {
+            if (segments.getType(i) === 'cut') {
+                toolSet.add(toolColumn[i] || 1);
             }
         }
         
@@ -841,6 +1541,147 @@ class Controller {
         }
     }
     
+    /**
+     * Detect the operations used in segments
+     * Programs without operation comments have a single operation and no operation panel.
+     */
+    detectOperations(segments) {
+        const used = new Set();
+        const operationColumn = segments.columns.operation;
+        for (let i = 0; i < segments.length; i++) {
+            used.add(operationColumn[i]);
+        }
+        
+        const operations = this.parser.getOperations();
+        this.operations.clear();
+        this.isolatedOperation = null;
+        if (used.size < 2) return;
+        
+        for (const index of Array.from(used).sort((a, b) => a - b)) {
+            this.operations.set(index, {
+                visible: true,
+                color: this.toolColors[index % this.toolColors.length],
+                name: operations[index].name,
+                lineNum: operations[index].lineNum
+            });
+        }
+    }
+    
+    /**
+     * Pick colors for the feature types of a 3D print, and switch between the machining and
+     * printing color modes to suit the loaded file
+     */
+    detectPrintFeatures() {
+        const printInfo = this.parser.getPrintInfo();
+        this.featureColors = printInfo.features.map((name, index) => {
+            const match = Controller.FEATURE_COLORS.find(([pattern]) => pattern.test(name));
+            return match ? match[1] : this.toolColors[index % this.toolColors.length];
+        });
+        
+        const printMode = this.colorMode === 'layer' || this.colorMode === 'feature';
+        if (printInfo.printing !== printMode) {
+            this.colorMode = !printInfo.printing ? 'tool' : printInfo.features.length > 1 ? 'feature' : 'layer';
+            const colorMode = document.getElementById('color-mode');
+            if (colorMode) colorMode.value = this.colorMode;
+        }
+    }
+    
+    /**
+     * Show only one operation, or all of them again if it is already isolated
+     */
+    isolateOperation(index) {
+        this.isolatedOperation = this.isolatedOperation === index ? null : index;
+        for (const [operation, state] of this.operations) {
+            state.visible = this.isolatedOperation === null || operation === index;
+        }
+        this.updateRenderers();
+    }
+    
+    /**
+     * Update the diagnostics panel with problems found while parsing
+     */
+    updateDiagnosticsPanel(idPrefix = '') {
+        const panel = document.getElementById(`${idPrefix}diagnostics-panel`);
+        const list = document.getElementById(`${idPrefix}diagnostics-list`);
+        const count = document.getElementById(`${idPrefix}diagnostics-count`);
+        if (!panel || !list) return;
+        
+        const { items, dropped } = this.parser.getDiagnostics();
+        panel.style.display = items.length > 0 ? 'block' : 'none';
+        list.innerHTML = '';
+        
+        if (count) {
+            const errors = items.filter(d => d.severity === 'error').length;
+            const warnings = items.filter(d => d.severity === 'warning').length;
+            count.textContent = `${errors} errors, ${warnings} warnings` + (dropped > 0 ? ` (+${dropped} more)` : '');
+        }
+        
+        for (const diagnostic of items) {
+            const item = document.createElement('div');
+            item.className = `diagnostic-item ${diagnostic.severity}`;
+            item.title = diagnostic.severity;
+            
+            const line = document.createElement('span');
+            line.className = 'diagnostic-line';
+            line.textContent = `Line ${diagnostic.lineNum}`;
+            
+            const message = document.createElement('span');
+            message.textContent = diagnostic.message + ' ';
+            
+            const code = document.createElement('span');
+            code.className = 'diagnostic-code';
+            code.textContent = diagnostic.code;
+            message.appendChild(code);
+            
+            item.appendChild(line);
+            item.appendChild(message);
+            item.addEventListener('click', () => this.highlightGCodeLine(diagnostic.lineNum));
+            list.appendChild(item);
+        }
+    }
+    
+    /**
+     * Check the loaded toolpath for rapids through the stock and fast plunges, then list and mark the findings
+     */
+    runToolpathCheck(idPrefix = '') {
+        const findings = this.checker.check(this.segments, this.stock, seg => this.animator.getFeedRate(seg),
+            this.parser.getFrameOffset().z);
+        this.renderer2d.setMarkers(findings);
+        this.renderer3d.setMarkers(findings);
+        
+        const panel = document.getElementById(`${idPrefix}check-panel`);
+        const list = document.getElementById(`${idPrefix}check-list`);
+        const count = document.getElementById(`${idPrefix}check-count`);
+        if (!panel || !list) return;
+        
+        panel.style.display = findings.length > 0 ? 'block' : 'none';
+        list.innerHTML = '';
+        
+        if (count) {
+            const rapids = findings.filter(f => f.type === 'rapid').length;
+            const plunges = findings.filter(f => f.type === 'plunge').length;
+            count.textContent = `${rapids} rapids, ${plunges} plunges`;
+        }
+        
+        for (const finding of findings) {
+            const item = document.createElement('div');
+            item.className = `diagnostic-item ${finding.severity}`;
+            item.title = finding.severity;
+            
+            const line = document.createElement('span');
+            line.className = 'diagnostic-line';
+            line.textContent = `Line ${finding.lineNum}`;
+            
+            const message = document.createElement('span');
+            message.textContent = finding.message;
+            
+            item.appendChild(line);
+            item.appendChild(message);
+            item.addEventListener('click', () => this.highlightGCodeLine(finding.lineNum));
+            list.appendChild(item);
+        }
+    }
+    
     /**
      * Update tool panel UI
      */
@@ -884,12 +1725,17 @@ class Controller {
             
             const nameSpan = document.createElement('span');
             const toolName = toolState.name ? `Tool ${toolNum} - ${toolState.name}` : `Tool ${toolNum}`;
-            nameSpan.textContent = toolName;
+            const diameter = toolState.geometry ? toolState.geometry.diameter : toolState.diameter;
+            nameSpan.textContent = diameter ? `${toolName} (Ø${this.formatLength(diameter, 2)})` : toolName;
             nameSpan.style.cssText = 'font-size: 13px;';
             
             const timeSpan = document.createElement('span');
             const toolTime = this.animator.getToolTime(toolNum);
-            timeSpan.textContent = `Est. Time: ${toolTime}`;
+            const library = toolState.library;
+            timeSpan.textContent = `Est. Time: ${toolTime}` + (library ? ` · ${ToolLibrary.SHAPES[library.shape]} (library)` : '');
+            if (library && library.shape !== 'laser') {
+                timeSpan.title = `Flute length ${this.formatLength(library.fluteLength, 2)}, chip load ${library.chipLoad} mm`;
+            }
             timeSpan.style.cssText = 'font-size: 11px; opacity: 0.7;';
             
             infoDiv.appendChild(nameSpan);
@@ -902,14 +1748,165 @@ class Controller {
         }
     }
     
+    /**
+     * Update the operation panel with per-operation visibility, color, cut length and time
+     */
+    updateOperationPanel(idPrefix = '') {
+        const panel = document.getElementById(`${idPrefix}operation-panel`);
+        const operationList = document.getElementById(`${idPrefix}operation-list`);
+        if (!panel || !operationList) return;
+        
+        panel.style.display = this.operations.size > 0 ? 'block' : 'none';
+        operationList.innerHTML = '';
+        
+        for (const [index, operationState] of this.operations) {
+            const operationDiv = document.createElement('div');
+            operationDiv.className = 'operation-item' + (this.isolatedOperation === index ? ' isolated' : '');
+            
+            // Visibility checkbox
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = operationState.visible;
+            checkbox.onchange = () => {
+                operationState.visible = checkbox.checked;
+                this.isolatedOperation = null;
+                this.updateRenderers();
+                this.updateOperationPanel(idPrefix);
+            };
+            
+            // Color picker (used when coloring by operation)
+            const colorPicker = document.createElement('input');
+            colorPicker.type = 'color';
+            colorPicker.value = operationState.color;
+            colorPicker.onchange = () => {
+                operationState.color = colorPicker.value;
+                this.updateRenderers();
+            };
+            
+            // Name (click to isolate) with cut length and estimated time
+            const infoDiv = document.createElement('div');
+            infoDiv.className = 'operation-info';
+            infoDiv.title = `Line ${operationState.lineNum} - click to show only this operation`;
+            infoDiv.onclick = () => {
+                this.isolateOperation(index);
+                this.updateOperationPanel(idPrefix);
+            };
+            
+            const nameSpan = document.createElement('span');
+            nameSpan.className = 'operation-name';
+            nameSpan.textContent = operationState.name;
+            
+            const detailSpan = document.createElement('span');
+            detailSpan.className = 'operation-detail';
+            const cutLength = this.animator.getOperationCutLength(index);
+            detailSpan.textContent = `Cut: ${this.formatLength(cutLength)} ${this.displayUnits} · Est. Time: ${this.animator.getOperationTime(index)}`;
+            
+            infoDiv.appendChild(nameSpan);
+            infoDiv.appendChild(detailSpan);
+            
+            operationDiv.appendChild(checkbox);
+            operationDiv.appendChild(colorPicker);
+            operationDiv.appendChild(infoDiv);
+            operationList.appendChild(operationDiv);
+        }
+    }
+    
+    /**
+     * Update the 3D printing panel with layer count, filament and feature colors
+     */
+    updatePrintPanel(idPrefix = '') {
+        const panel = document.getElementById(`${idPrefix}print-panel`);
+        if (!panel) return;
+        
+        const printInfo = this.parser.getPrintInfo();
+        panel.style.display = printInfo.printing ? 'block' : 'none';
+        if (!printInfo.printing) return;
+        
+        const layers = document.getElementById(`${idPrefix}stat-layers`);
+        const filament = document.getElementById(`${idPrefix}stat-filament`);
+        if (layers) layers.textContent = printInfo.layerCount;
+        if (filament) filament.textContent = `${(printInfo.filamentLength / 1000).toFixed(2)} m`;
+        
+        const featureList = document.getElementById(`${idPrefix}feature-list`);
+        if (!featureList) return;
+        featureList.innerHTML = '';
+        
+        // Only list features that have extrusions
+        const used = new Set();
+        const featureColumn = this.segments.columns.feature;
+        for (let i = 0; i < this.segments.length; i++) {
+            if (this.segments.getType(i) === 'cut') used.add(featureColumn[i]);
+        }
+        
+        for (const index of Array.from(used).sort((a, b) => a - b)) {
+            const featureDiv = document.createElement('div');
+            featureDiv.className = 'operation-item';
+            
+            // Color picker (used when coloring by feature)
+            const colorPicker = document.createElement('input');
+            colorPicker.type = 'color';
+            colorPicker.value = this.featureColors[index];
+            colorPicker.onchange = () => {
+                this.featureColors[index] = colorPicker.value;
+                this.updateRenderers();
+            };
+            
+            const nameSpan = document.createElement('span');
+            nameSpan.className = 'operation-name';
+            nameSpan.textContent = printInfo.features[index];
+            
+            featureDiv.appendChild(colorPicker);
+            featureDiv.appendChild(nameSpan);
+            featureList.appendChild(featureDiv);
+        }
+    }
+    
+    /**
+     * Show the probe, home and retract move toggles only when the program has those moves
+     */
+    updateMoveTypePanel(idPrefix = '') {
+        const present = new Set();
+        for (let i = 0; i < this.segments.length; i++) {
+            present.add(this.segments.getType(i));
+        }
+        
+        for (const type of ['probe', 'home', 'retract']) {
+            const row = document.getElementById(`${idPrefix}${type}-moves-row`);
+            if (row) row.style.display = present.has(type) ? 'flex' : 'none';
+        }
+    }
+    
     /**
      * Update renderers with current tool states
      */
     updateRenderers() {
         this.renderer2d.setToolStates(this.tools);
         this.renderer3d.setToolStates(this.tools);
-        this.renderer2d.setRapidMoveSettings(this.rapidMovesVisible, this.rapidMoveColor);
-        this.renderer3d.setRapidMoveSettings(this.rapidMovesVisible, this.rapidMoveColor);
+        this.renderer2d.setOperationStates(this.operations);
+        this.renderer3d.setOperationStates(this.operations);
+        this.renderer2d.setMoveTypeSettings(this.moveTypes);
+        this.renderer3d.setMoveTypeSettings(this.moveTypes);
+        
+        const spindleInfo = this.parser.getSpindleInfo();
+        const spindleRange = { min: spindleInfo.minSpeed, max: spindleInfo.maxSpeed };
+        this.renderer2d.setColorMode(this.colorMode, spindleRange);
+        this.renderer3d.setColorMode(this.colorMode, spindleRange);
+        this.renderer2d.setKerfMode(this.showKerf);
+        
+        const printer = { layerCount: this.parser.getPrintInfo().layerCount, featureColors: this.featureColors };
+        this.renderer2d.setPrinterMode(printer);
+        this.renderer3d.setPrinterMode(printer);
+        
+        const stock = this.getFrameStock();
+        this.renderer2d.setStock(stock);
+        this.renderer3d.setStock(stock);
+        
+        this.selectRotaryAxis();
+        this.renderer2d.setRotaryMode(this.rotary.mode, this.rotary.axis, this.rotary.diameter);
+        this.renderer3d.setRotaryMode(this.rotary.mode, this.rotary.axis, this.rotary.diameter);
+        this.renderer2d.setLaserMode(this.laser);
+        this.renderer3d.setLaserMode(this.laser);
+        
         this.renderer2d.updateBuffers();
         this.renderer3d.updateBuffers();
     }
@@ -920,30 +1917,142 @@ class Controller {
     updateStatistics(idPrefix = '') {
         const statLines = document.getElementById(`${idPrefix}stat-lines`);
         const statTime = document.getElementById(`${idPrefix}stat-time`);
-        const statX = document.getElementById(`${idPrefix}stat-x`);
-        const statY = document.getElementById(`${idPrefix}stat-y`);
-        const statZ = document.getElementById(`${idPrefix}stat-z`);
+        const statUnits = document.getElementById(`${idPrefix}stat-units`);
+        const statSpindle = document.getElementById(`${idPrefix}stat-spindle`);
+        const statSpindleOff = document.getElementById(`${idPrefix}stat-spindle-off`);
+        const statLimits = document.getElementById(`${idPrefix}stat-limits`);
+        const unitsSelect = document.getElementById(`${idPrefix}display-units`);
         const totalLines = document.getElementById(`${idPrefix}total-lines`);
         const currentLine = document.getElementById(`${idPrefix}current-line`);
-        const layerMin = document.getElementById(`${idPrefix}layer-min`);
-        const layerMax = document.getElementById(`${idPrefix}layer-max`);
         
         if (statLines) statLines.textContent = this.segments.length;
         if (statTime) statTime.textContent = this.animator.getFormattedTime();
         
-        if (statX) statX.textContent = 
-            `${this.bounds.minX.toFixed(1)} to ${this.bounds.maxX.toFixed(1)}`;
-        if (statY) statY.textContent = 
-            `${this.bounds.minY.toFixed(1)} to ${this.bounds.maxY.toFixed(1)}`;
-        if (statZ) statZ.textContent = 
-            `${this.bounds.minZ.toFixed(1)} to ${this.bounds.maxZ.toFixed(1)}`;
+        const unitsInfo = this.parser.getUnitsInfo();
+        if (unitsSelect) unitsSelect.value = this.displayUnits;
+        if (statUnits) {
+            statUnits.textContent = unitsInfo.mixed ? `${unitsInfo.programUnits} (mixed)` : unitsInfo.programUnits;
+            statUnits.title = unitsInfo.changes.map(c => `Line ${c.lineNum}: ${c.units}`).join('\n');
+        }
+        this.updateRangeStats(idPrefix);
+        this.updateJobInfo(idPrefix);
+        
+        const spindleInfo = this.parser.getSpindleInfo();
+        if (statSpindle) {
+            const { minSpeed, maxSpeed } = spindleInfo;
+            statSpindle.textContent = maxSpeed === 0 ? 'Off' :
+                minSpeed === maxSpeed ? `${maxSpeed} RPM` : `${minSpeed}-${maxSpeed} RPM`;
+            statSpindle.title = `Coolant: ${spindleInfo.coolant ? 'yes' : 'no'}\n` +
+                `Dwells: ${spindleInfo.dwells.length} (${this.animator.formatDuration(spindleInfo.dwellTime)})`;
+        }
+        if (statSpindleOff) {
+            // Cuts with the spindle stopped usually mean a missing M3/M4
+            statSpindleOff.textContent = spindleInfo.offCuts;
+            statSpindleOff.style.color = spindleInfo.offCuts > 0 ? '#ff4444' : '';
+        }
+        if (statLimits) {
+            const limitInfo = this.parser.getLimitInfo();
+            statLimits.textContent = !limitInfo.checked ? '-' : limitInfo.violations > 0 ? `${limitInfo.violations} moves over` : 'OK';
+            statLimits.style.color = limitInfo.violations > 0 ? '#ff4444' : '';
+            statLimits.title = ['x', 'y', 'z'].filter(axis => limitInfo.excess[axis] > 0)
+                .map(axis => `${axis.toUpperCase()}: ${this.formatLength(limitInfo.excess[axis])} ${this.displayUnits} past the limit`).join('\n');
+        }
         
         if (totalLines) totalLines.textContent = this.segments.length;
         if (currentLine) currentLine.textContent = '0';
         
         // Set layer filter defaults
-        if (layerMin) layerMin.placeholder = this.bounds.minZ.toFixed(1);
-        if (layerMax) layerMax.placeholder = this.bounds.maxZ.toFixed(1);
+        this.updateLayerInputs(idPrefix);
+    }
+
+    /**
+     * Show the Z range as the layer filter placeholders in the current display units
+     * @param {string} idPrefix - Element ID prefix
+     * @param {boolean} convertValues - Also rewrite entered limits, after the display units change
+     */
+    updateLayerInputs(idPrefix = '', convertValues = false) {
+        const layerMin = document.getElementById(`${idPrefix}layer-min`);
+        const layerMax = document.getElementById(`${idPrefix}layer-max`);
+        const filter = this.renderer2d.layerFilter;
+        
+        for (const [input, z, limit] of [[layerMin, this.bounds.minZ, filter.min], [layerMax, this.bounds.maxZ, filter.max]]) {
+            if (!input) continue;
+            input.placeholder = this.formatLength(z);
+            if (convertValues && input.value && isFinite(limit)) input.value = +this.formatLength(limit, 3);
+        }
+    }
+
+    /**
+     * Update X/Y/Z range statistics in the current display units
+     */
+    updateRangeStats(idPrefix = '') {
+        const statX = document.getElementById(`${idPrefix}stat-x`);
+        const statY = document.getElementById(`${idPrefix}stat-y`);
+        const statZ = document.getElementById(`${idPrefix}stat-z`);
+        
+        if (statX) statX.textContent = 
+            `${this.formatLength(this.bounds.minX)} to ${this.formatLength(this.bounds.maxX)}`;
+        if (statY) statY.textContent = 
+            `${this.formatLength(this.bounds.minY)} to ${this.formatLength(this.bounds.maxY)}`;
+        if (statZ) statZ.textContent = 
+            `${this.formatLength(this.bounds.minZ)} to ${this.formatLength(this.bounds.maxZ)}`;
+    }
+
+    /**
+     * Show job information from CAM header comments under the statistics
+     */
+    updateJobInfo(idPrefix = '') {
+        const container = document.getElementById(`${idPrefix}job-info`);
+        if (!container) return;
+        
+        const jobInfo = this.parser.getJobInfo();
+        const rows = [
+            ['CAM', jobInfo.cam],
+            ['Post', jobInfo.postProcessor],
+            ['Program', jobInfo.program],
+            ['Material', jobInfo.material]
+        ];
+        if (this.parser.activeDialect !== 'generic') {
+            const dialect = GCodeParser.DIALECTS[this.parser.activeDialect].name;
+            rows.push(['Dialect', this.parser.dialect === 'auto' ? `${dialect} (detected)` : dialect]);
+        }
+        if (jobInfo.stock) {
+            const { minX, minY, minZ, maxX, maxY, maxZ } = jobInfo.stock;
+            rows.push(['Stock', `${this.formatLength(maxX - minX)} × ${this.formatLength(maxY - minY)} × ${this.formatLength(maxZ - minZ)}`]);
+        }
+        if (jobInfo.operations.length > 0) {
+            rows.push(['Operations', jobInfo.operations.map(op => op.name).join(', ')]);
+        }
+        
+        container.innerHTML = '';
+        for (const [label, value] of rows) {
+            if (!value) continue;
+            const row = document.createElement('div');
+            row.className = 'job-info-row';
+            
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'stat-label';
+            labelSpan.textContent = label;
+            
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'job-info-value';
+            valueSpan.textContent = value;
+            valueSpan.title = value;
+            
+            row.appendChild(labelSpan);
+            row.appendChild(valueSpan);
+            container.appendChild(row);
+        }
+        container.style.display = container.children.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Format a length in mm using the current display units
+     * @param {number} mm - Length in millimeters
+     * @param {number} decimals - Decimal places for mm (inches get two more)
+     */
+    formatLength(mm, decimals = 1) {
+        return this.displayUnits === 'inches' ? (mm / 25.4).toFixed(decimals + 2) : mm.toFixed(decimals);
     }
 
     /**
@@ -952,7 +2061,7 @@ class Controller {
     updateCoordinateDisplay(x, y, z) {
         const coordsElement = document.getElementById('coordinates');
         if (coordsElement) {
-            coordsElement.textContent = `X: ${x.toFixed(2)} Y: ${y.toFixed(2)} Z: ${z.toFixed(2)}`;
+            coordsElement.textContent = `X: ${this.formatLength(x, 2)} Y: ${this.formatLength(y, 2)} Z: ${this.formatLength(z, 2)}`;
         }
     }
 
@@ -1196,8 +2305,10 @@ class Controller {
         const minInput = document.getElementById('layer-min');
         const maxInput = document.getElementById('layer-max');
         
-        const min = minInput.value ? parseFloat(minInput.value) : -Infinity;
-        const max = maxInput.value ? parseFloat(maxInput.value) : Infinity;
+        // Limits are entered in the display units
+        const scale = this.displayUnits === 'inches' ? 25.4 : 1;
+        const min = minInput.value ? parseFloat(minInput.value) * scale : -Infinity;
+        const max = maxInput.value ? parseFloat(maxInput.value) * scale : Infinity;
         
         this.renderer2d.setLayerFilter(min, max);
         this.renderer3d.setLayerFilter(min, max);
@@ -1294,6 +2405,7 @@ class Controller {
             this.pollSpaceMouse();
             
             this.camera.update();
+            this.stepSimulation();
             
             if (this.currentView === '2d') {
                 this.renderer2d.render();
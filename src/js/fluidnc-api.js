@@ -78,6 +78,11 @@ class FluidNCAPI {
                 if (content.startsWith('[FILE:') || content.startsWith('[DIR:') || (content.trim() === 'ok')) {
                     this.handleSDListStream(content);
                 }
+                
+                // Check if it's a coordinate parameter ($#) response
+                if (content.startsWith('[G') || (content.trim() === 'ok')) {
+                    this.handleParamStream(content);
+                }
                 this.handleStreamMessage(content);
             }
             // Handle download responses
@@ -172,6 +177,28 @@ class FluidNCAPI {
         }
     }
 
+    /**
+     * Handle $# parameter stream responses - one [G54:x,y,z] style line per message
+     */
+    handleParamStream(content) {
+        for (const [id, request] of this.pendingRequests.entries()) {
+            if (request.command === '$#') {
+                if (!request.paramBuffer) {
+                    request.paramBuffer = [];
+                }
+                if (content.startsWith('[G')) {
+                    request.paramBuffer.push(content);
+                }
+                // End marker
+                else if (content.trim() === 'ok' && request.paramBuffer.length > 0) {
+                    this.pendingRequests.delete(id);
+                    request.resolve(request.paramBuffer.join('\n'));
+                }
+                return;
+            }
+        }
+    }
+
     /**
      * Handle stream message (status updates, etc)
      */
@@ -323,6 +350,62 @@ class FluidNCAPI {
         }
     }
 
+    /**
+     * Get the soft limit envelope in machine coordinates from each axis' travel and homing settings
+     * FluidNC puts the travel on the side of the home position away from the homing direction.
+     * @returns {Promise<Object|null>} { min: {x, y, z}, max: {x, y, z} } in mm, or null on failure
+     */
+    async getMachineLimits() {
+        const readSetting = async (path, fallback) => {
+            try {
+                const value = await this.getSetting(path);
+                return value === null ? fallback : value;
+            } catch (e) {
+                console.warn(`Failed to get ${path}:`, e);
+                return fallback;
+            }
+        };
+        
+        const limits = { min: {}, max: {} };
+        for (const axis of ['x', 'y', 'z']) {
+            const travel = parseFloat(await readSetting(`/axes/${axis}/max_travel_mm`, null));
+            if (!(travel > 0)) return null;
+            
+            const home = parseFloat(await readSetting(`/axes/${axis}/homing/mpos_mm`, '0')) || 0;
+            const positive = (await readSetting(`/axes/${axis}/homing/positive_direction`, 'true')).toLowerCase() !== 'false';
+            limits.min[axis] = positive ? home - travel : home;
+            limits.max[axis] = positive ? home : home + travel;
+        }
+        
+        console.log('[FluidNC API] Machine limits:', limits);
+        return limits;
+    }
+
+    /**
+     * Get coordinate parameters (work offsets, G28/G30 positions, G92) via $#
+     * @returns {Promise<Object|null>} Map like { G54: {x, y, z}, G28: {...} } in mm, or null on failure
+     */
+    async getCoordinateParameters() {
+        try {
+            const response = await this.sendCommand('$#');
+            const params = {};
+            const regex = /\[(G\d+(?:\.\d)?):([-\d.]+),([-\d.]+),([-\d.]+)/g;
+            let match;
+            while ((match = regex.exec(response)) !== null) {
+                params[match[1]] = {
+                    x: parseFloat(match[2]),
+                    y: parseFloat(match[3]),
+                    z: parseFloat(match[4])
+                };
+            }
+            console.log('[FluidNC API] Coordinate parameters:', params);
+            return params;
+        } catch (error) {
+            console.error('[FluidNC API] Failed to get coordinate parameters:', error);
+            return null;
+        }
+    }
+
     /**
      * Get machine motion parameters (acceleration and max rates)
      */
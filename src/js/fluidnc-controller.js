@@ -17,6 +17,8 @@ class FluidNCController extends Controller {
         this.setupFluidNCListeners();
         this.loadSDFiles();
         this.syncGridFromFluidNC(); // Auto-sync grid dimensions on load
+        this.syncWorkOffsetsFromFluidNC(); // Pre-fill work offset table
+        this.syncMachineLimitsFromFluidNC(); // Check jobs against the soft limits
     }
 
     /**
@@ -75,6 +77,30 @@ class FluidNCController extends Controller {
         }
     }
 
+    /**
+     * Pre-fill the work offset table (G54-G59.3) and G28/G30 positions from the controller's $# parameters
+     */
+    async syncWorkOffsetsFromFluidNC() {
+        const params = await this.fluidAPI.getCoordinateParameters();
+        if (!params || Object.keys(params).length === 0) return;
+        
+        const offsets = GCodeParser.WCS_CODES.map(code => params['G' + code] || { x: 0, y: 0, z: 0 });
+        const references = GCodeParser.REFERENCE_CODES.map(code => params['G' + code] || { x: 0, y: 0, z: 0 });
+        await this.setWorkOffsets(offsets, references);
+        console.log('Work offsets synced from FluidNC:', offsets, references);
+    }
+
+    /**
+     * Read the machine envelope (X/Y/Z travel and homing positions) so jobs are checked against the soft limits
+     */
+    async syncMachineLimitsFromFluidNC() {
+        const limits = await this.fluidAPI.getMachineLimits();
+        if (!limits) return;
+        
+        await this.setMachineLimits(limits);
+        console.log('Machine limits synced from FluidNC:', limits);
+    }
+
     /**
      * Load files from SD card
      */
@@ -223,6 +249,7 @@ class FluidNCController extends Controller {
 
             // Process the GCode content using existing loadFile logic
             await this.processGCode(content, file.name);
+            this.loadedFilePath = file.path;
 
             progressFill.style.width = '100%';
             setTimeout(() => {
@@ -230,6 +257,7 @@ class FluidNCController extends Controller {
             }, 500);
 
         } catch (error) {
+            if (error.name === 'AbortError') return; // Superseded by a newer file
             console.error('Failed to load SD file:', error);
             alert('Failed to load file from SD card: ' + error.message);
             progressBar.classList.remove('indeterminate');
@@ -249,21 +277,32 @@ class FluidNCController extends Controller {
             // Create a Blob from the text to use parseFile
             const blob = new Blob([text], { type: 'text/plain' });
             const file = new File([blob], filename, { type: 'text/plain' });
+            const loadId = this.startLoad(file);
             
-            // Parse GCode using the parser's parseFile method
-            const segments = await this.parser.parseFile(file, (percent) => {
+            // Parse GCode in the background worker
+            const segments = await this.parseFileInBackground(file, (percent) => {
                 progressFill.style.width = percent + '%';
             });
+            if (loadId !== this.loadCounter) {
+                // A newer file was loaded meanwhile; fail like a cancelled worker parse so the caller bails out too
+                const error = new Error('Load superseded');
+                error.name = 'AbortError';
+                throw error;
+            }
 
             const bounds = this.parser.getBounds();
 
             this.segments = segments;
             this.bounds = bounds;
-            this.gcodeText = text;
             this.hasRefittedCamera = false; // Reset flag for new file
+            this.displayUnits = this.parser.getUnitsInfo().programUnits; // Default to the program's units
 
             // Detect tools used in the file
             this.detectTools(segments);
+            this.detectOperations(segments);
+            this.detectPrintFeatures();
+            this.applyJobInfo();
+            this.matchToolLibrary();
 
             // Update renderers
             this.renderer2d.setSegments(segments, bounds);
@@ -278,7 +317,13 @@ class FluidNCController extends Controller {
             // Update UI first to ensure canvas is visible
             this.updateStatistics();
             this.displayGCode(text);
+            this.updateDiagnosticsPanel();
             this.updateToolPanel();
+            this.updateOperationPanel();
+            this.updateMoveTypePanel();
+            this.updatePrintPanel();
+            this.runToolpathCheck();
+            this.configureSimulation();
             document.getElementById('animation-panel').style.display = 'block';
             const gcodePanel = document.getElementById('gcode-panel');
             gcodePanel.style.display = 'block';
@@ -330,7 +375,7 @@ class FluidNCController extends Controller {
                 }
                 
                 console.log('FluidNC: Fitting to bounds with canvas size:', width, 'x', height);
-                this.camera.fitToBounds(bounds, 0.1, width, height);
+                this.fitCamera(width, height);
                 this.updateZoomSlider();
             };
             
@@ -340,9 +385,14 @@ class FluidNCController extends Controller {
                 setTimeout(fitCamera, 200); // Retry after 200ms
                 setTimeout(fitCamera, 500); // Final retry after 500ms for slower devices
             });
+            
+            this.finishLoad();
 
         } catch (error) {
-            console.error('Error processing GCode:', error);
+            if (error.name !== 'AbortError') {
+                this.gcodeFile = null;
+                console.error('Error processing GCode:', error);
+            }
             throw error;
         }
     }
@@ -351,6 +401,9 @@ class FluidNCController extends Controller {
      * Run file on CNC
      */
     async runSDFile(file) {
+        if (!(await this.checkMachineLimits(file))) {
+            return;
+        }
         if (!confirm(`Run ${file.name} on the CNC?\n\nThis will start the job immediately.`)) {
             return;
         }
@@ -377,6 +430,31 @@ class FluidNCController extends Controller {
         }
     }
 
+    /**
+     * Check a job against the soft limits before it runs, with the work offsets the machine has now
+     * Files that haven't been previewed are loaded first.
+     * @returns {Promise<boolean>} False if the job would hit a limit (or couldn't be checked) and the user cancelled
+     */
+    async checkMachineLimits(file) {
+        if (!this.parser.machineLimits) return true;
+        
+        if (this.loadedFilePath !== file.path) {
+            await this.loadSDFile(file);
+            if (this.loadedFilePath !== file.path) {
+                return confirm(`${file.name} could not be checked against the machine limits.\n\nRun it anyway?`);
+            }
+        }
+        await this.syncWorkOffsetsFromFluidNC();
+        
+        const limitInfo = this.parser.getLimitInfo();
+        if (limitInfo.violations === 0) return true;
+        
+        const axes = ['x', 'y', 'z'].filter(axis => limitInfo.excess[axis] > 0)
+            .map(axis => `${axis.toUpperCase()} by ${limitInfo.excess[axis].toFixed(1)} mm`).join(', ');
+        return confirm(`${file.name} goes past the machine's soft limits (${axes}) in ${limitInfo.violations} moves, ` +
+            `shown in red and listed under Diagnostics.\n\nThe machine will stop with a soft limit alarm. Run it anyway?`);
+    }
+
     /**
      * Override switchMobileTab to refit camera when switching to display
      */
@@ -391,7 +469,7 @@ class FluidNCController extends Controller {
                 const width = this.canvas2d.width || this.canvas2d.clientWidth;
                 const height = this.canvas2d.height || this.canvas2d.clientHeight;
                 console.log('FluidNC: Refitting on tab switch with canvas size:', width, 'x', height);
-                this.camera.fitToBounds(this.bounds, 0.1, width, height);
+                this.fitCamera(width, height);
                 this.updateZoomSlider();
             }, 100);
         }
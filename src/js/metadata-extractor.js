@@ -0,0 +1,297 @@
+/**
+ * CAM Metadata Extractor
+ * Collects job information (CAM program, stock, tools, operations) from header comments
+ */
+
+class MetadataExtractor {
+    // One entry per CAM program. detect() recognises a comment only that program writes;
+    // extract() reads a comment for the detected program and returns true if it used it.
+    // Comments an extractor doesn't use fall through to the generic "Key: value" rules.
+    // Entries are part of the class source, so they also run in the parse worker.
+    static EXTRACTORS = [
+        {
+            name: 'Fusion 360',
+            detect: (comment) => /autodesk|fusion/i.test(comment) || /^T\d+\s+D=/i.test(comment),
+            extract: (comment, ctx) => {
+                // (T1 D=6 CR=0 - ZMIN=-5 - flat end mill)
+                const tool = comment.match(/^T(\d+)\s+D=(\S+)(?:.*\s-\s+(.+))?$/i);
+                if (tool) {
+                    ctx.addTool(parseInt(tool[1]), tool[2], tool[3] || null);
+                    return true;
+                }
+                // Operation names are bare comments like (2D Contour1) ahead of each operation
+                if (ctx.inBody && /^[\w][\w .#-]*$/.test(comment) && comment.length <= 60) {
+                    ctx.addOperation(comment);
+                    return true;
+                }
+                return false;
+            }
+        },
+        {
+            name: 'VCarve/Aspire',
+            detect: (comment) => /vectric|vcarve|aspire|material size|toolpaths used in this file/i.test(comment),
+            extract: (comment, ctx) => {
+                // Toolpaths listed in the header are repeated as comments where they start
+                if (ctx.inBody && ctx.operations.some(op => op.lineNum === null && op.name === comment)) {
+                    ctx.addOperation(comment);
+                    return true;
+                }
+                if (/^material size/i.test(comment)) {
+                    ctx.section = 'material';
+                    return true;
+                }
+                if (/^toolpaths used in this file/i.test(comment)) {
+                    ctx.section = 'toolpaths';
+                    return true;
+                }
+                if (/^tools used in this file/i.test(comment)) {
+                    ctx.section = 'tools';
+                    return true;
+                }
+                if (/^\|?-{3,}/.test(comment) || /^(home position|safe z)/i.test(comment)) {
+                    ctx.section = null;
+                    return /^\|?-{3,}/.test(comment);
+                }
+
+                // ( X= 300.000, Y= 200.000, Z= 18.000)
+                const size = comment.match(/^X\s*=\s*([^,]+),\s*Y\s*=\s*([^,]+),\s*Z\s*=\s*(.+)$/i);
+                if (ctx.section === 'material' && size) {
+                    ctx.stockSize = { x: ctx.readLength(size[1]), y: ctx.readLength(size[2]), z: ctx.readLength(size[3]) };
+                    return true;
+                }
+                // ( Z Origin for Material  = Surface) / ( XY Origin for Material = Bottom left corner)
+                const origin = comment.match(/^(XY|Z) Origin for Material\s*=\s*(.+)$/i);
+                if (origin) {
+                    if (origin[1].toUpperCase() === 'Z') {
+                        ctx.stockOrigin.z = /surface|top/i.test(origin[2]) ? 'top' : 'bottom';
+                    } else {
+                        ctx.stockOrigin.xy = /center|centre/i.test(origin[2]) ? 'center' : 'corner';
+                    }
+                    return true;
+                }
+                // ( 1 = End Mill (6 mm))
+                const tool = comment.match(/^(\d+)\s*=\s*(.+)$/);
+                if (ctx.section === 'tools' && tool) {
+                    const diameter = tool[2].match(/\(([^)]*\d[^)]*)\)\s*$/);
+                    ctx.addTool(parseInt(tool[1]), diameter ? diameter[1] : null, tool[2].trim());
+                    return true;
+                }
+                if (ctx.section === 'toolpaths' && comment) {
+                    ctx.addOperation(comment, null);
+                    return true;
+                }
+                return false;
+            }
+        },
+        {
+            name: 'Carbide Create',
+            detect: (comment) => /carbide create|^stockMin:|^STOCK\/BLOCK|^TOOL\/MILL/i.test(comment),
+            extract: (comment, ctx) => {
+                // (stockMin:0.00mm, 0.00mm, -12.70mm)
+                const stock = comment.match(/^stock(Min|Max)\s*:\s*([^,]+),([^,]+),(.+)$/i);
+                if (stock) {
+                    const corner = { x: ctx.readLength(stock[2]), y: ctx.readLength(stock[3]), z: ctx.readLength(stock[4]) };
+                    if (stock[1].toLowerCase() === 'min') ctx.stockMin = corner;
+                    else ctx.stockMax = corner;
+                    return true;
+                }
+                // (TOOL/MILL,3.18, 0.00, 0.00, 0.00) - numbered by the M6 that follows
+                const tool = comment.match(/^TOOL\/MILL,\s*([^,]+)/i);
+                if (tool) {
+                    ctx.addTool(null, tool[1], null);
+                    return true;
+                }
+                const toolpath = comment.match(/^Toolpath:?\s*-?\s*(.+)$/i);
+                if (toolpath) {
+                    ctx.addOperation(toolpath[1].trim());
+                    return true;
+                }
+                return /^STOCK\/BLOCK/i.test(comment);
+            }
+        },
+        {
+            name: 'Kiri:Moto',
+            detect: (comment) => /kiri:?\s*moto/i.test(comment),
+            extract: () => false // Kiri:Moto headers use the generic "Key: value" form
+        },
+        {
+            name: 'FreeCAD',
+            detect: (comment) => /freecad/i.test(comment),
+            extract: (comment, ctx) => {
+                const operation = comment.match(/^Begin operation:\s*(.+)$/i);
+                if (operation) {
+                    ctx.addOperation(operation[1].trim());
+                    return true;
+                }
+                // (Machine units: mm/min)
+                const units = comment.match(/^Machine units:\s*(mm|in)/i);
+                if (units) {
+                    ctx.units = units[1].toLowerCase() === 'mm' ? 'mm' : 'inches';
+                    return true;
+                }
+                // (TC: 6mm Endmill) - tool controller label
+                const toolController = comment.match(/^TC:\s*(.+)$/i);
+                if (toolController) {
+                    ctx.addTool(null, toolController[1], toolController[1].trim());
+                    return true;
+                }
+                // Begin/finish markers for preamble, postamble, toolchange etc.
+                return /^(begin|finish|end) /i.test(comment) || /^Path:/i.test(comment);
+            }
+        }
+    ];
+
+    constructor() {
+        this.extractor = null; // Entry of EXTRACTORS matching this file, once detected
+        this.cam = null;
+        this.postProcessor = null;
+        this.program = null;
+        this.material = null;
+        this.tools = []; // { number, diameter (length), name }
+        this.operations = []; // { name, lineNum }
+
+        // Scratch state for extractors
+        this.inBody = false; // Set once a non-comment line has been parsed
+        this.lineNum = 0; // Line of the comment being read
+        this.section = null; // Header section a multi-line list is being read from
+        this.units = null; // Header units when stated ('mm' or 'inches')
+        this.stockSize = null; // { x, y, z } lengths
+        this.stockOrigin = { xy: 'corner', z: 'top' }; // Where the program zero sits on the stock
+        this.stockMin = null; // { x, y, z } lengths when the header gives the corners
+        this.stockMax = null;
+    }
+
+    /**
+     * Read one whole-line comment
+     * @param {string} comment - Comment text without ( ) or ;
+     * @param {number} lineNum - Source line number
+     */
+    processComment(comment, lineNum) {
+        if (!comment) return;
+        this.lineNum = lineNum;
+
+        if (!this.extractor) {
+            this.extractor = MetadataExtractor.EXTRACTORS.find(e => e.detect(comment)) || null;
+            if (this.extractor) this.cam = this.extractor.name;
+        }
+        if (this.extractor && this.extractor.extract(comment, this)) return;
+
+        this.extractGeneric(comment);
+    }
+
+    /**
+     * Rules shared by all CAM programs: "Key: value" comments
+     */
+    extractGeneric(comment) {
+        const match = comment.match(/^([A-Za-z][\w /]*?)\s*[:=]\s*(.+)$/);
+        if (!match) {
+            if (!this.cam && /(generated|created|exported) (by|with)\s+(.+)/i.test(comment)) {
+                this.cam = comment.match(/(?:generated|created|exported) (?:by|with)\s+(.+)/i)[1].trim();
+            }
+            return;
+        }
+
+        const key = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (key === 'material' && !this.material) {
+            this.material = value;
+        } else if (/^post( processor)?$/.test(key) && !this.postProcessor) {
+            this.postProcessor = value;
+        } else if (key === 'operation' || key === 'toolpath') {
+            this.addOperation(value);
+        } else if (/^(program|program name|job|job name|project|file|filename|design file)$/.test(key) && !this.program) {
+            this.program = value;
+        } else if (key === 'stock' || key === 'stock size') {
+            // Stock: X100 Y50 Z10 / Stock: 100 x 50 x 10
+            const sizes = value.match(/X\s*[:=]?\s*([\d.]+\s*(?:mm|in|")?)\W+Y\s*[:=]?\s*([\d.]+\s*(?:mm|in|")?)\W+Z\s*[:=]?\s*([\d.]+\s*(?:mm|in|")?)/i) ||
+                value.match(/([\d.]+\s*(?:mm|in|")?)\s*x\s*([\d.]+\s*(?:mm|in|")?)\s*x\s*([\d.]+\s*(?:mm|in|")?)/i);
+            if (sizes) {
+                this.stockSize = { x: this.readLength(sizes[1]), y: this.readLength(sizes[2]), z: this.readLength(sizes[3]) };
+            }
+        } else if (/^(tool|t\d+)/.test(key)) {
+            // Tool 2: 6mm flat, D=6 / T3: dia 3.175
+            const number = (match[1] + ' ' + value).match(/^(?:tool\s*#?|t)(\d+)/i);
+            const diameter = value.match(/(?:\bD\s*=|dia(?:meter)?\s*[:=]?|Ø)\s*([\d.]+\s*(?:mm|in|")?)/i) ||
+                value.match(/\b([\d.]+\s*(?:mm|in|"))/i);
+            if (number && diameter) {
+                this.addTool(parseInt(number[1]), diameter[1], value);
+            }
+        }
+    }
+
+    /**
+     * Parse a length like "6", "6 mm", "0.25in" or '1/4"'
+     * @returns {Object|null} { value, units } - units is null when not stated
+     */
+    readLength(text) {
+        if (text === null || text === undefined) return null;
+        const match = String(text).match(/([+-]?(?:\d+\.?\d*|\.\d+))(?:\s*\/\s*(\d+))?\s*(mm|in(?:ch(?:es)?)?\b|")?/i);
+        if (!match) return null;
+
+        const value = match[2] ? parseFloat(match[1]) / parseInt(match[2]) : parseFloat(match[1]);
+        const units = !match[3] ? null : match[3].toLowerCase() === 'mm' ? 'mm' : 'inches';
+        return { value, units };
+    }
+
+    /**
+     * Record a tool
+     * @param {number|null} number - Tool number, or null when the header doesn't give one
+     * @param {string|null} diameter - Diameter text (see readLength)
+     */
+    addTool(number, diameter, name) {
+        this.tools.push({ number, diameter: this.readLength(diameter), name });
+    }
+
+    /**
+     * Record an operation starting at the current comment
+     * @param {number|null} lineNum - Defaults to the comment's line; null for header-only lists
+     */
+    addOperation(name, lineNum = this.lineNum) {
+        this.operations.push({ name, lineNum });
+    }
+
+    /**
+     * Build the job info once the whole file has been read
+     * @param {string} programUnits - Units ('mm' or 'inches') assumed for lengths given without units
+     * @returns {Object} { cam, postProcessor, program, material, stock, tools, operations } - lengths in mm
+     */
+    finish(programUnits) {
+        const defaultUnits = this.units || programUnits || 'mm';
+        const toMM = (length) => {
+            if (!length) return null;
+            return (length.units || defaultUnits) === 'inches' ? length.value * 25.4 : length.value;
+        };
+
+        // Stock box in work coordinates
+        let stock = null;
+        if (this.stockMin && this.stockMax) {
+            stock = {
+                minX: toMM(this.stockMin.x), minY: toMM(this.stockMin.y), minZ: toMM(this.stockMin.z),
+                maxX: toMM(this.stockMax.x), maxY: toMM(this.stockMax.y), maxZ: toMM(this.stockMax.z)
+            };
+        } else if (this.stockSize) {
+            const x = toMM(this.stockSize.x);
+            const y = toMM(this.stockSize.y);
+            const z = toMM(this.stockSize.z);
+            const center = this.stockOrigin.xy === 'center';
+            stock = {
+                minX: center ? -x / 2 : 0, maxX: center ? x / 2 : x,
+                minY: center ? -y / 2 : 0, maxY: center ? y / 2 : y,
+                minZ: this.stockOrigin.z === 'top' ? -z : 0,
+                maxZ: this.stockOrigin.z === 'top' ? 0 : z
+            };
+        }
+        if (stock && Object.values(stock).some(v => !Number.isFinite(v))) stock = null;
+
+        return {
+            cam: this.cam,
+            postProcessor: this.postProcessor,
+            program: this.program,
+            material: this.material,
+            stock,
+            tools: this.tools.map(tool => ({ number: tool.number, diameter: toMM(tool.diameter), name: tool.name })),
+            operations: this.operations.slice()
+        };
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Parser Worker Client
+ * Runs GCodeParser in a dedicated Web Worker so large files don't freeze the UI
+ */
+
+class ParserWorker {
+    constructor() {
+        this.worker = null;
+        this.workerUrl = null;
+        this.pending = null; // { parser, resolve, reject, onProgress, onBatch, segments } for the parse in flight
+    }
+
+    /**
+     * Check whether this browser can run the parser in a worker
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof Blob !== 'undefined' && typeof URL !== 'undefined';
+    }
+
+    /**
+     * Create the worker from the SegmentStore, MetadataExtractor and GCodeParser class sources
+     * Using a Blob URL keeps the single-file builds working without a separate worker script.
+     */
+    createWorker() {
+        if (!this.workerUrl) {
+            const source = `${SegmentStore.toString()}\n${MetadataExtractor.toString()}\n${GCodeParser.toString()}\nGCodeParser.runWorker(self);\n`;
+            this.workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        }
+
+        const worker = new Worker(this.workerUrl);
+
+        // Ignore messages still queued from a worker that was cancelled
+        worker.onmessage = (e) => {
+            if (worker === this.worker) this.handleMessage(e.data);
+        };
+        worker.onerror = (e) => {
+            if (worker === this.worker) this.handleMessage({ type: 'error', message: e.message });
+        };
+
+        this.worker = worker;
+    }
+
+    /**
+     * Parse a file in the worker, cancelling any parse still in flight
+     * @param {File|Blob} file - File to parse
+     * @param {GCodeParser} parser - Supplies settings and receives the results when done
+     * @param {Function} onProgress - Progress callback (percent)
+     * @param {Function} onBatch - Callback (segments) with the SegmentStore received so far
+     * @returns {Promise<SegmentStore>} Parsed segments; rejects with an AbortError if cancelled
+     */
+    parse(file, parser, onProgress, onBatch) {
+        this.cancel();
+        if (!this.worker) this.createWorker();
+
+        return new Promise((resolve, reject) => {
+            this.pending = { parser, resolve, reject, onProgress, onBatch, segments: new SegmentStore() };
+            this.worker.postMessage({ file, config: parser.exportConfig() });
+        });
+    }
+
+    /**
+     * Handle a message from the worker
+     */
+    handleMessage(message) {
+        const pending = this.pending;
+        if (!pending) return;
+
+        switch (message.type) {
+            case 'progress':
+                if (pending.onProgress) pending.onProgress(message.percent);
+                break;
+            case 'segments':
+                pending.segments.appendRange(message.range);
+                if (pending.onBatch) pending.onBatch(pending.segments);
+                break;
+            case 'done':
+                this.pending = null;
+                pending.parser.importResults(pending.segments, message.results);
+                pending.resolve(pending.segments);
+                break;
+            case 'error':
+                this.pending = null;
+                pending.reject(new Error(message.message));
+                break;
+        }
+    }
+
+    /**
+     * Cancel the parse in flight, if any
+     * The worker may be busy mid-chunk, so it is terminated and recreated on the next parse.
+     */
+    cancel() {
+        if (!this.pending) return;
+
+        const pending = this.pending;
+        this.pending = null;
+        this.worker.terminate();
+        this.worker = null;
+
+        const error = new Error('Parse cancelled');
+        error.name = 'AbortError';
+        pending.reject(error);
+    }
+}
@@ -4,19 +4,214 @@
  */
 
 class GCodeParser {
+    // Work coordinate systems in offset table order (G54 = index 0)
+    static WCS_CODES = [54, 55, 56, 57, 58, 59, 59.1, 59.2, 59.3];
+    
+    // Stored reference positions in table order (G28 = index 0)
+    static REFERENCE_CODES = [28, 30];
+    
+    // Settings copied into a worker parse, and output state copied back from it
+    static CONFIG_FIELDS = ['workOffsets', 'referencePositions', 'coordinateFrame', 'arcTolerance', 'laserMode', 'dialect', 'machineLimits'];
+    static RESULT_FIELDS = [
+        'bounds', 'units', 'programUnits', 'unitChanges', 'dwells',
+        'toolNames', 'toolColors', 'inlineToolMap', 'diagnostics', 'diagnosticsDropped', 'rotaryAxes',
+        'jobInfo', 'operations', 'activeDialect', 'printing', 'features', 'layerCount', 'filamentLength',
+        'limitViolations', 'limitExcess', 'referenceWcs'
+    ];
+    
+    // Word letters with a meaning (anything else is reported as an unknown word)
+    static KNOWN_WORDS = 'GMTFSXYZIJKRPQLNHDABC';
+    
+    // G-codes that are valid but have no effect on the previewed toolpath
+    static IGNORED_GCODES = [43, 49, 61, 61.1, 64];
+    
+    // M-codes that are valid but have no effect on the previewed toolpath
+    static IGNORED_MCODES = [0, 1, 2, 30, 60];
+    
+    // Keep memory bounded on files with a problem on every line
+    static MAX_DIAGNOSTICS = 1000;
+    
+    // Distance (mm) a move may pass a soft limit by before it counts, so rounding at the edge isn't flagged
+    static LIMIT_TOLERANCE = 0.001;
+    
+    // Z rise (mm) between extrusions that starts a new print layer, for files without layer comments
+    static MIN_LAYER_HEIGHT = 0.05;
+    
+    // Arc tessellation: default chordal deviation (mm), largest angle per chord so tiny arcs keep
+    // their shape, and a cap so a tiny tolerance on a huge arc can't exhaust memory
+    static DEFAULT_ARC_TOLERANCE = 0.01;
+    static MAX_ARC_STEP = Math.PI / 4;
+    static MAX_ARC_SEGMENTS = 10000;
+    
+    // Binary operators in [expressions] with their precedence (higher binds tighter)
+    // Named operators are only recognised inside brackets, where they can't be mistaken for words
+    static EXPRESSION_OPERATORS = {
+        '**': 4,
+        '*': 3, '/': 3, 'MOD': 3,
+        '+': 2, '-': 2,
+        'EQ': 1, 'NE': 1, 'GT': 1, 'GE': 1, 'LT': 1, 'LE': 1,
+        'AND': 0, 'OR': 0, 'XOR': 0
+    };
+    
+    // Unary functions usable in expressions, e.g. SIN[30]; angles are in degrees as in LinuxCNC
+    static EXPRESSION_FUNCTIONS = {
+        ABS: (x) => Math.abs(x),
+        ACOS: (x) => Math.acos(x) * 180 / Math.PI,
+        ASIN: (x) => Math.asin(x) * 180 / Math.PI,
+        COS: (x) => Math.cos(x * Math.PI / 180),
+        EXP: (x) => Math.exp(x),
+        FIX: (x) => Math.floor(x),
+        FUP: (x) => Math.ceil(x),
+        LN: (x) => Math.log(x),
+        ROUND: (x) => Math.round(x),
+        SIN: (x) => Math.sin(x * Math.PI / 180),
+        SQRT: (x) => Math.sqrt(x),
+        TAN: (x) => Math.tan(x * Math.PI / 180)
+    };
+    
+    // O-word blocks and the statement that closes each one (do ... while is closed by while)
+    static BLOCK_ENDS = { sub: 'endsub', while: 'endwhile', do: 'while', repeat: 'endrepeat', if: 'endif' };
+    
+    // Loop iterations and subroutine calls allowed per program, so runaway loops can't hang the page
+    static MAX_FLOW_ITERATIONS = 100000;
+    static MAX_CALL_DEPTH = 64;
+    
+    // Numbered parameters that are local to each subroutine call (#1-#30 hold the call arguments)
+    static LOCAL_PARAMETERS = 30;
+    
+    // Controller dialects: which codes each accepts (null = everything the parser knows), whether it
+    // has #parameter expressions and O-word flow control, how tool changes are written, whether two
+    // G-codes from one modal group on a line are reported, whether E is filament (3D printers) and
+    // diagnostics that are noise for it.
+    // toolChange is 'M0' (M6, or M0 with a "tool" comment as Estlcam writes for machines without M6),
+    // 'M6' (M0 is only a pause) or 'T' (a T word switches tools by itself, e.g. printer extruders).
+    // detect is matched against header comments when the dialect is 'auto'; FluidNC is checked
+    // before GRBL since its posts often mention both.
+    static DIALECTS = {
+        generic: {
+            name: 'Generic', detect: null, gcodes: null, mcodes: null,
+            expressions: true, controlFlow: true, toolChange: 'M0', modalGroups: false, extrusion: false, silenced: []
+        },
+        fluidnc: {
+            name: 'FluidNC', detect: /fluidnc/i,
+            gcodes: [0, 1, 2, 3, 4, 10, 17, 18, 19, 20, 21, 28, 28.1, 30, 30.1, 38.2, 38.3, 38.4, 38.5, 40, 43.1, 49,
+                53, 54, 55, 56, 57, 58, 59, 61, 80, 90, 91, 91.1, 92, 92.1, 93, 94],
+            mcodes: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 30, 56, 62, 63, 64, 65, 67, 68],
+            expressions: true, controlFlow: true, toolChange: 'M0', modalGroups: true, extrusion: false, silenced: []
+        },
+        grbl: {
+            name: 'GRBL', detect: /\bgrbl/i,
+            gcodes: [0, 1, 2, 3, 4, 10, 17, 18, 19, 20, 21, 28, 28.1, 30, 30.1, 38.2, 38.3, 38.4, 38.5, 40, 43.1, 49,
+                53, 54, 55, 56, 57, 58, 59, 61, 80, 90, 91, 91.1, 92, 92.1, 93, 94],
+            mcodes: [0, 1, 2, 3, 4, 5, 7, 8, 9, 30, 56],
+            expressions: false, controlFlow: false, toolChange: 'M0', modalGroups: true, extrusion: false, silenced: []
+        },
+        linuxcnc: {
+            name: 'LinuxCNC', detect: /linuxcnc|\bemc2?\b/i, gcodes: null, mcodes: null,
+            expressions: true, controlFlow: true, toolChange: 'M6', modalGroups: true, extrusion: false, silenced: []
+        },
+        mach3: {
+            name: 'Mach3', detect: /\bmach ?[34]\b/i, gcodes: null, mcodes: null,
+            expressions: true, controlFlow: false, toolChange: 'M6', modalGroups: false, extrusion: false, silenced: []
+        },
+        marlin: {
+            name: 'Marlin', detect: /marlin|klipper|prusaslicer|superslicer|orcaslicer|cura_steamengine|slic3r|simplify3d/i,
+            gcodes: [0, 1, 2, 3, 4, 5, 10, 11, 17, 18, 19, 20, 21, 27, 28, 29, 90, 91, 92],
+            mcodes: null,
+            expressions: false, controlFlow: false, toolChange: 'T', modalGroups: false, extrusion: true,
+            // Printer files are full of temperature, fan and leveling codes with nothing to preview
+            silenced: ['UNSUPPORTED_GCODE', 'UNSUPPORTED_MCODE']
+        }
+    };
+    
+    // G-codes that can't share a line with another code from the same group (non-modal group 0 excluded)
+    static MODAL_GROUPS = [
+        [0, 1, 2, 3, 38.2, 38.3, 38.4, 38.5, 73, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89], // Motion
+        [17, 18, 19], // Plane
+        [90, 91], // Distance mode
+        [90.1, 91.1], // Arc distance mode
+        [93, 94, 95], // Feed mode
+        [20, 21], // Units
+        [40, 41, 42], // Cutter compensation
+        [43, 43.1, 49], // Tool length offset
+        [98, 99], // Canned cycle return
+        [54, 55, 56, 57, 58, 59, 59.1, 59.2, 59.3], // Coordinate system
+        [61, 61.1, 64] // Path control
+    ];
+
     constructor() {
+        // Configuration (kept across parses)
+        this.workOffsets = GCodeParser.WCS_CODES.map(() => ({ x: 0, y: 0, z: 0 }));
+        this.referencePositions = GCodeParser.REFERENCE_CODES.map(() => ({ x: 0, y: 0, z: 0 })); // Machine coordinates
+        this.coordinateFrame = 'work'; // Output segments in 'work' or 'machine' coordinates
+        this.arcTolerance = GCodeParser.DEFAULT_ARC_TOLERANCE; // Max distance (mm) of arc chords from the true arc
+        this.laserMode = false; // Cuts with the laser off (M5 or S0) are travel
+        this.dialect = 'auto'; // Key of DIALECTS, or 'auto' to detect it from header comments
+        this.machineLimits = null; // Soft limits { min: {x, y, z}, max: {x, y, z} } in machine coordinates, null = unchecked
+        
         this.reset();
     }
 
     reset() {
-        // Modal state
-        this.position = { x: 0, y: 0, z: 0 };
-        this.units = 'mm'; // mm or inches
+        // Modal state - position is tracked in machine coordinates, starting at the origin of the first WCS used
+        // Rotary axes (a, b, c) are in degrees and have no work offsets
+        this.position = { ...this.workOffsets[0], a: 0, b: 0, c: 0 };
+        this.rotaryAxes = []; // Rotary letters ('A', 'B', 'C') the program moves
+        this.activeWcs = 0; // Index into workOffsets (G54-G59.3)
+        this.referenceWcs = -1; // WCS of the first motion; the work frame is its coordinates, -1 until then
+        this.g92Offset = { x: 0, y: 0, z: 0 };
+        this.references = this.referencePositions.map(position => ({ ...position })); // G28.1/G30.1 update this copy
+        this.units = 'mm'; // mm or inches (input units; geometry is always stored in mm)
+        this.programUnits = null; // First units in effect for motion
+        this.unitChanges = []; // { lineNum, units } for mid-program switches
         this.absolute = true; // G90/G91
+        this.absoluteArcCenter = false; // G90.1 (I/J/K are the center position) / G91.1 (offsets from the start)
         this.plane = 'XY'; // G17/G18/G19
         this.feedRate = 0;
+        this.feedMode = 'perMinute'; // G94 'perMinute', G93 'inverseTime' or G95 'perRevolution'
         this.currentTool = 1; // Start at Tool 1
         
+        // Dialect in effect; 'auto' starts generic until a header comment names the controller
+        this.activeDialect = this.dialect === 'auto' ? 'generic' : this.dialect;
+        this.profile = GCodeParser.DIALECTS[this.activeDialect];
+        
+        // 3D printing: E is the filament position in mm, absolute (M82) or relative (M83)
+        this.printing = this.profile.extrusion; // Also set by the first E word; moves that don't extrude are then travel
+        this.extrudeAbsolute = true;
+        this.extruderPosition = 0;
+        this.pendingExtrusion = 0; // E distance of the current line, used by its motion
+        this.filamentLength = 0; // Net filament pushed over the whole program (mm)
+        this.features = ['Other']; // Feature types from slicer ;TYPE: comments (outer wall, infill, ...)
+        this.currentFeature = 0; // Index into features, copied onto each segment
+        this.layer = 0; // Print layer, copied onto each segment
+        this.layerCount = 0;
+        this.layerExtruded = false; // The current layer has extrusion, so the next layer change starts a new one
+        this.layerComments = false; // Slicer ;LAYER comments mark layer changes instead of Z rises
+        this.layerZ = -Infinity; // Z the current layer started at
+        
+        // Spindle, coolant and dwell state (copied onto each segment)
+        this.spindle = 'off'; // 'cw' (M3), 'ccw' (M4) or 'off' (M5)
+        this.spindleSpeed = 0; // Modal S word in RPM, kept while the spindle is off
+        this.coolantMist = false; // M7
+        this.coolantFlood = false; // M8
+        this.pendingDwell = 0; // Seconds of G4 dwell to attach to the next segment
+        this.dwells = []; // { lineNum, seconds } for every dwell in the program
+        
+        // Canned cycle state (G73, G81-G89)
+        this.activeCycle = null; // Active cycle G-code, null after G80
+        this.retractMode = 'initial'; // G98 = initial level, G99 = R plane
+        this.cycleInitialZ = 0; // Z (machine) when the cycle started, used for G98 retracts
+        this.cycleParams = { r: null, z: null, q: 0, p: 0 }; // Sticky R/Z/Q/P words
+        
+        // Parameters: numbered (#1) keys are numbers, named (#<name>) keys are lowercase strings
+        this.parameters = new Map();
+        
+        // Control flow (O-words)
+        this.subroutines = new Map(); // O-word key -> body lines ({ text, lineNum })
+        this.flowBlock = null; // { key, keyword, lines } while a loop/if/sub is read from the input
+        this.flowIterations = 0; // Loop iterations and calls so far, against MAX_FLOW_ITERATIONS
+        this.callDepth = 0;
+        
         // Tool names extracted from comments
         this.toolNames = [];
         this.toolColors = []; // Custom colors for tools (hex format)
@@ -25,8 +220,21 @@ class GCodeParser {
         this.inlineToolOccurrence = new Map(); // Tracks which occurrence of each tool number we're on
         this.lastToolChangeType = null; // 'M0' for manual, 'M6' for automatic, null for none
         
+        // CAM header metadata (stock, tools, operations) collected from comments
+        this.metadata = new MetadataExtractor();
+        this.jobInfo = null; // Built from metadata when the parse finishes
+        
+        // Operations named by CAM comments; segments before the first one belong to 'Program start'
+        this.operations = [{ name: 'Program start', lineNum: 1 }];
+        this.currentOperation = 0; // Index into operations, copied onto each segment
+        
         // Output
-        this.segments = [];
+        this.segments = new SegmentStore();
+        this.diagnostics = []; // { lineNum, severity, code, message }
+        this.diagnosticsDropped = 0; // Diagnostics beyond MAX_DIAGNOSTICS
+        this.limitViolations = 0; // Segments that leave the machine envelope
+        this.limitExcess = { x: 0, y: 0, z: 0 }; // Furthest any move goes past the limits on each axis (mm)
+        this.lastLimitLine = null; // Line of the last soft limit diagnostic, so split moves report once
         this.bounds = {
             minX: Infinity, maxX: -Infinity,
             minY: Infinity, maxY: -Infinity,
@@ -38,7 +246,7 @@ class GCodeParser {
      * Parse GCode file with progress callbacks
      * @param {File} file - File object from input
      * @param {Function} onProgress - Callback (percent)
-     * @returns {Promise<Array>} Array of segments
+     * @returns {Promise<SegmentStore>} Parsed segments
      */
     async parseString(gcodeString, onProgress) {
         this.reset();
@@ -55,6 +263,10 @@ class GCodeParser {
             }
         }
         
+        this.finishControlFlow();
+        this.finishDwell();
+        this.jobInfo = this.metadata.finish(this.programUnits);
+        
         // Final progress update
         if (onProgress) {
             onProgress(100);
@@ -64,43 +276,174 @@ class GCodeParser {
     }
 
     /**
-     * Parse GCode file
-     * @param {File} file - File object to parse
-     * @param {Function} onProgress - Progress callback
-     * @returns {Promise<Array>} Array of segments
+     * Parse GCode file as a stream so large files never need to be held as one string
+     * @param {File|Blob} file - File object to parse
+     * @param {Function} onProgress - Progress callback (percent)
+     * @param {Function} onBatch - Optional callback receiving segments added since the last chunk (SegmentStore.exportRange format)
+     * @returns {Promise<SegmentStore>} Parsed segments
      */
-    async parseFile(file, onProgress) {
+    async parseFile(file, onProgress, onBatch) {
         this.reset();
         
-        // Read entire file as text to avoid chunking issues
-        // Modern browsers can handle files up to 10MB+ easily
-        const text = await file.text();
+        // Older browsers without Blob.stream() fall back to reading the whole file
+        if (typeof file.stream !== 'function') {
+            const segments = await this.parseString(await file.text(), onProgress);
+            if (onBatch) onBatch(segments.exportRange());
+            return segments;
+        }
+        
+        const reader = file.stream().getReader();
+        const decoder = new TextDecoder();
+        let remainder = ''; // Partial line carried over to the next chunk
+        let bytesRead = 0;
+        let lineNum = 0;
+        let batchStart = 0;
         
-        // Use the string parser which is more reliable
-        return this.parseString(text, onProgress);
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            
+            bytesRead += value.length;
+            // stream: true keeps multi-byte characters split across chunks intact
+            const lines = (remainder + decoder.decode(value, { stream: true })).split('\n');
+            remainder = lines.pop();
+            
+            for (const line of lines) {
+                this.parseLine(line.trim(), ++lineNum);
+            }
+            
+            // The last segment is held back, since a dwell at the end of the program is added to it
+            if (onBatch && this.segments.length - 1 > batchStart) {
+                onBatch(this.segments.exportRange(batchStart, this.segments.length - 1));
+                batchStart = this.segments.length - 1;
+            }
+            if (onProgress && file.size > 0) {
+                onProgress(Math.min(100, (bytesRead / file.size) * 100));
+            }
+        }
+        
+        // Last line has no trailing newline
+        remainder += decoder.decode();
+        this.parseLine(remainder.trim(), ++lineNum);
+        this.finishControlFlow();
+        this.finishDwell();
+        
+        this.jobInfo = this.metadata.finish(this.programUnits);
+        
+        if (onBatch && this.segments.length > batchStart) {
+            onBatch(this.segments.exportRange(batchStart));
+        }
+        if (onProgress) {
+            onProgress(100);
+        }
+        
+        return this.segments;
     }
 
     /**
-     * Read chunk from file
+     * Copy parser settings for a parse running elsewhere (e.g. in a worker)
      */
-    readChunk(file, offset, length) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            const blob = file.slice(offset, offset + length);
+    exportConfig() {
+        const config = {};
+        for (const field of GCodeParser.CONFIG_FIELDS) config[field] = this[field];
+        return config;
+    }
+
+    /**
+     * Copy output state (everything but segments) after a parse
+     */
+    exportResults() {
+        const results = {};
+        for (const field of GCodeParser.RESULT_FIELDS) results[field] = this[field];
+        return results;
+    }
+
+    /**
+     * Adopt the segments and output state of a parse that ran elsewhere
+     * so getters like getBounds() and getToolNames() work as after a local parse
+     */
+    importResults(segments, results) {
+        this.reset();
+        Object.assign(this, results);
+        this.segments = segments;
+    }
+
+    /**
+     * Worker entry point; the worker script is the SegmentStore, MetadataExtractor and
+     * GCodeParser class sources followed by a call to this method
+     * @param {DedicatedWorkerGlobalScope} scope - Worker global scope
+     */
+    static runWorker(scope) {
+        scope.onmessage = async (e) => {
+            const parser = new GCodeParser();
+            Object.assign(parser, e.data.config);
             
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = reject;
-            reader.readAsText(blob);
-        });
+            try {
+                await parser.parseFile(e.data.file,
+                    (percent) => scope.postMessage({ type: 'progress', percent }),
+                    // Transfer the column buffers instead of copying them
+                    (range) => scope.postMessage({ type: 'segments', range },
+                        Object.values(range.columns).map(column => column.buffer)));
+                scope.postMessage({ type: 'done', results: parser.exportResults() });
+            } catch (error) {
+                scope.postMessage({ type: 'error', message: error.message });
+            }
+        };
     }
 
     /**
-     * Parse single line of GCode
+     * Parse single line of GCode from the input
+     * Lines of an O-word block are collected until the block closes and then run together,
+     * since loops and conditionals need to jump back and forth through them
      */
     parseLine(line, lineNum) {
+        if (this.flowBlock) {
+            this.flowBlock.lines.push({ text: line, lineNum });
+            
+            const oWord = this.parseOWord(line);
+            if (oWord && oWord.key === this.flowBlock.key &&
+                oWord.keyword === GCodeParser.BLOCK_ENDS[this.flowBlock.keyword]) {
+                const block = this.flowBlock;
+                this.flowBlock = null;
+                this.runBlock(block.lines, 0, block.lines.length);
+            }
+            return;
+        }
+        
+        const oWord = this.parseOWord(line);
+        if (!oWord) {
+            this.executeLine(line, lineNum);
+        } else if (!this.profile.controlFlow) {
+            // A bare O100 is just a program number, which every dialect accepts
+            if (oWord.keyword) {
+                this.addDiagnostic(lineNum, 'warning', 'DIALECT_UNSUPPORTED',
+                    `O-word ${oWord.keyword} is not supported by ${this.profile.name}; line ignored`);
+            }
+        } else if (GCodeParser.BLOCK_ENDS[oWord.keyword]) {
+            this.flowBlock = { key: oWord.key, keyword: oWord.keyword, lines: [{ text: line, lineNum }] };
+        } else {
+            this.runBlock([{ text: line, lineNum }], 0, 1);
+        }
+    }
+
+    /**
+     * Execute a single line of GCode (anything but O-word control flow)
+     */
+    executeLine(line, lineNum) {
         // Check for tool list in comments
         if (line.startsWith(';') || line.startsWith('(')) {
             const comment = line.replace(/^[;(]/, '').replace(/\)$/, '').trim();
+            if (this.dialect === 'auto' && !this.metadata.inBody) this.detectDialect(comment);
+            if (this.processPrintComment(comment)) return;
+            
+            // Operation comments in the program body split it into operations
+            const operationCount = this.metadata.operations.length;
+            this.metadata.processComment(comment, lineNum);
+            const operation = this.metadata.operations[operationCount];
+            if (operation && operation.lineNum !== null) {
+                this.operations.push({ name: operation.name, lineNum });
+                this.currentOperation = this.operations.length - 1;
+            }
             
             // Check for inline tool definition: (Tool N: tool name)
             const inlineToolMatch = comment.match(/^Tool\s+(\d+)\s*:\s*(.+)$/i);
@@ -182,7 +525,7 @@ class GCodeParser {
         const commentMatch = originalLine.match(/[;(](.*)$/);
         const comment = commentMatch ? commentMatch[1].toLowerCase() : '';
         
-        if (hasM0 && comment.includes('tool')) {
+        if (hasM0 && comment.includes('tool') && this.profile.toolChange === 'M0') {
             // Manual tool change detected - increment tool number (Estlcam format)
             // This happens BEFORE any segments on this line, so next segments use new tool
             this.currentTool++;
@@ -192,21 +535,74 @@ class GCodeParser {
         // Remove inline comments
         line = line.replace(/\(.*?\)/g, '').replace(/;.*$/, '').trim();
         if (!line) return;
+        this.metadata.inBody = true;
+        
+        // Substitute #parameters and [expressions] so the rest of the line is plain words
+        if (line.includes('#') || line.includes('[')) {
+            if (!this.profile.expressions) {
+                this.addDiagnostic(lineNum, 'warning', 'DIALECT_UNSUPPORTED',
+                    `Parameters and expressions are not supported by ${this.profile.name}; line ignored`);
+                return;
+            }
+            line = this.expandExpressions(line, lineNum);
+            if (!line) return;
+        }
         
         // Extract words (letter + number pairs)
-        const words = this.extractWords(line);
+        const words = this.checkDialect(this.extractWords(line), lineNum);
+        
+        // Anything that isn't a word would otherwise be silently dropped
+        const leftover = line.replace(/([A-Z])([+-]?(?:\d+\.?\d*|\.\d+))/gi, '').replace(/\s+/g, '');
+        if (leftover) {
+            this.addDiagnostic(lineNum, 'warning', 'UNPARSED_TEXT', `Ignored text "${leftover}"`);
+        }
         if (words.length === 0) return;
         
+        // Apply spindle, coolant, units, feed mode and work coordinate system before motion
+        // so "G20 G0 X1" / "G55 G0 X0" / "G1 X10 S12000 M3" use the new state
+        for (const [letter, value] of words) {
+            if (letter === 'S') {
+                this.spindleSpeed = value;
+            } else if (letter === 'M') {
+                this.processMCode(Math.floor(value), words, lineNum);
+            } else if (letter === 'G') {
+                if (value === 20 || value === 21) {
+                    this.setUnits(value === 20 ? 'inches' : 'mm', lineNum);
+                }
+                if (value === 93 || value === 94 || value === 95) {
+                    this.feedMode = value === 93 ? 'inverseTime' : value === 95 ? 'perRevolution' : 'perMinute';
+                }
+                const wcs = GCodeParser.WCS_CODES.indexOf(value);
+                if (wcs !== -1) this.selectWcs(wcs);
+            }
+        }
+        
+        // Feed rate also applies to motion on its own line, once units and feed mode are set
+        // Inverse time F is moves per minute, not a length, so it isn't converted
+        const feedWord = words.find(([letter]) => letter === 'F');
+        if (feedWord) {
+            this.feedRate = this.feedMode === 'inverseTime' ? feedWord[1] : this.toMM(feedWord[1]);
+        }
+        
+        // Filament moves along with the axes on this line; G92 E sets its position instead
+        // An E word makes a generic program a printer one; other machine dialects have no E axis
+        this.pendingExtrusion = 0;
+        const extrudeWord = words.find(([letter]) => letter === 'E');
+        if (extrudeWord && (this.printing || this.activeDialect === 'generic') && !words.some(([letter, value]) => letter === 'G' && value === 92)) {
+            const length = this.toMM(extrudeWord[1]);
+            this.pendingExtrusion = this.extrudeAbsolute ? length - this.extruderPosition : length;
+            this.extruderPosition += this.pendingExtrusion;
+            this.printing = true;
+        }
+        
         // Process commands
         let commandProcessed = false;
         
         for (const [letter, value] of words) {
             switch (letter) {
                 case 'G':
-                    commandProcessed = this.processGCode(Math.floor(value), words, lineNum) || commandProcessed;
-                    break;
-                case 'M':
-                    this.processMCode(Math.floor(value), words, lineNum);
+                    // Keep one decimal so G59.1, G92.1 etc. are distinguishable
+                    commandProcessed = this.processGCode(Math.round(value * 10) / 10, words, lineNum) || commandProcessed;
                     break;
                 case 'T':
                     const toolNum = Math.floor(value);
@@ -225,12 +621,518 @@ class GCodeParser {
                         // Standard sequential tool numbering (Estlcam style)
                         this.currentTool = toolNum;
                     }
+                    if (this.profile.toolChange === 'T') this.lastToolChangeType = 'M6';
                     break;
-                case 'F':
-                    this.feedRate = value;
+                case 'F': // Applied before motion above
                     break;
+                default:
+                    // E is filament (applied before motion above) in printer programs only
+                    if (!GCodeParser.KNOWN_WORDS.includes(letter) && !(letter === 'E' && this.printing)) {
+                        this.addDiagnostic(lineNum, 'warning', 'UNKNOWN_WORD', `Unknown word ${letter}${value}`);
+                    }
             }
         }
+        
+        // Canned cycles are modal: axis words alone repeat the active cycle at the new position
+        if (this.activeCycle && !words.some(([letter]) => letter === 'G') &&
+            words.some(([letter]) => 'XYZRL'.includes(letter))) {
+            this.cannedCycle(this.activeCycle, words, lineNum);
+        }
+    }
+
+    /**
+     * Drop G- and M-codes the active dialect doesn't accept and report modal group conflicts
+     * @param {Array} words - [letter, value] pairs from extractWords
+     * @returns {Array} The words the controller would act on
+     */
+    checkDialect(words, lineNum) {
+        const { gcodes, mcodes, name } = this.profile;
+        const accepted = words.filter(([letter, value]) => {
+            const code = letter === 'G' ? Math.round(value * 10) / 10 : Math.floor(value);
+            const supported = letter === 'G' ? gcodes : letter === 'M' ? mcodes : null;
+            if (!supported || supported.includes(code)) return true;
+            
+            this.addDiagnostic(lineNum, 'warning', 'DIALECT_UNSUPPORTED', `${letter}${code} is not supported by ${name} and was ignored`);
+            return false;
+        });
+        
+        if (this.profile.modalGroups) {
+            const used = new Map(); // Modal group index -> first code of that group on the line
+            for (const [letter, value] of accepted) {
+                if (letter !== 'G') continue;
+                const code = Math.round(value * 10) / 10;
+                const group = GCodeParser.MODAL_GROUPS.findIndex(codes => codes.includes(code));
+                if (group === -1) continue;
+                if (used.has(group)) {
+                    this.addDiagnostic(lineNum, 'error', 'MODAL_GROUP_CONFLICT',
+                        `G${used.get(group)} and G${code} are in the same modal group`);
+                } else {
+                    used.set(group, code);
+                }
+            }
+        }
+        return accepted;
+    }
+
+    /**
+     * Switch to the first dialect whose signature appears in a header comment
+     */
+    detectDialect(comment) {
+        if (this.activeDialect !== 'generic') return;
+        for (const [key, profile] of Object.entries(GCodeParser.DIALECTS)) {
+            if (profile.detect && profile.detect.test(comment)) {
+                this.activeDialect = key;
+                this.profile = profile;
+                this.printing = this.printing || profile.extrusion;
+                return;
+            }
+        }
+    }
+
+    /**
+     * Split an O-word line into its key and statement
+     * @returns {Object|null} { key, keyword, rest } - key is '100' for o100 or '<name>' for o<name>;
+     *                        null if the line isn't an O-word
+     */
+    parseOWord(line) {
+        const match = line.replace(/\(.*?\)/g, '').replace(/;.*$/, '').trim()
+            .match(/^(?:N\d+\s*)?O\s*(<[^>]*>|\d+)\s*([A-Z]*)\s*(.*)$/i);
+        if (!match) return null;
+        
+        // O0100 and o100 are the same block; names ignore case and spaces like parameter names
+        const key = match[1].startsWith('<') ? match[1].replace(/\s+/g, '').toLowerCase() : String(parseInt(match[1]));
+        return { key, keyword: match[2].toLowerCase(), rest: match[3] };
+    }
+
+    /**
+     * Run lines [start, end), executing O-word control flow
+     * Generated moves keep the lineNum of the source line that produced them
+     * @param {Array} lines - { text, lineNum } source lines
+     * @returns {Object|null} Unfinished break/continue/return ({ type, key }) for an enclosing block,
+     *                        or { type: 'abort' } once the iteration limit is reached
+     */
+    runBlock(lines, start, end) {
+        for (let pc = start; pc < end; pc++) {
+            const { text, lineNum } = lines[pc];
+            const oWord = this.parseOWord(text);
+            if (!oWord) {
+                this.executeLine(text, lineNum);
+                continue;
+            }
+            
+            const { key, keyword, rest } = oWord;
+            const closeKeyword = GCodeParser.BLOCK_ENDS[keyword];
+            const close = closeKeyword ? this.findOWord(lines, pc + 1, end, key, [closeKeyword]) : -1;
+            if (closeKeyword && close === -1) {
+                this.addDiagnostic(lineNum, 'error', 'UNCLOSED_BLOCK', `O${key} ${keyword} has no matching O${key} ${closeKeyword}`);
+                return null;
+            }
+            
+            let signal = null;
+            switch (keyword) {
+                case '':
+                    break; // Program number
+                case 'sub':
+                    this.subroutines.set(key, lines.slice(pc + 1, close));
+                    break;
+                case 'call':
+                    signal = this.callSubroutine(key, rest, lineNum);
+                    break;
+                case 'while':
+                    signal = this.runLoop(lines, pc + 1, close, key, lineNum,
+                        () => this.evaluateExpression(rest, lineNum) !== 0);
+                    break;
+                case 'do': {
+                    // Condition is on the closing while line, checked after each pass
+                    const condition = this.parseOWord(lines[close].text).rest;
+                    signal = this.runLoop(lines, pc + 1, close, key, lineNum,
+                        (first) => first || this.evaluateExpression(condition, lines[close].lineNum) !== 0);
+                    break;
+                }
+                case 'repeat': {
+                    const count = Math.round(this.evaluateExpression(rest, lineNum));
+                    let passes = 0;
+                    signal = this.runLoop(lines, pc + 1, close, key, lineNum, () => passes++ < count);
+                    break;
+                }
+                case 'if':
+                    signal = this.runIf(lines, pc, close, key, rest, lineNum);
+                    break;
+                case 'break':
+                case 'continue':
+                    return { type: keyword, key };
+                case 'return':
+                case 'endsub':
+                    // An optional value is passed back in #<_value> as in LinuxCNC
+                    if (rest) this.parameters.set('_value', this.evaluateExpression(rest, lineNum));
+                    return { type: 'return', key };
+                default:
+                    this.addDiagnostic(lineNum, 'warning', 'UNEXPECTED_OWORD', `Unexpected O${key} ${keyword}`);
+            }
+            if (signal) return signal;
+            if (close !== -1) pc = close;
+        }
+        return null;
+    }
+
+    /**
+     * Find the next O-word line with the given key and one of the keywords
+     * @returns {number} Line index, or -1
+     */
+    findOWord(lines, start, end, key, keywords) {
+        for (let i = start; i < end; i++) {
+            const oWord = this.parseOWord(lines[i].text);
+            if (oWord && oWord.key === key && keywords.includes(oWord.keyword)) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Run a loop body while shouldRun(first) is true, handling break and continue for this loop
+     */
+    runLoop(lines, start, end, key, lineNum, shouldRun) {
+        for (let first = true; shouldRun(first); first = false) {
+            if (!this.countIteration(lineNum)) return { type: 'abort' };
+            
+            const signal = this.runBlock(lines, start, end);
+            if (signal && signal.type === 'break' && signal.key === key) break;
+            if (signal && !(signal.type === 'continue' && signal.key === key)) return signal;
+        }
+        return null;
+    }
+
+    /**
+     * Run the first if/elseif branch whose condition holds, or the else branch
+     * @param {number} start - Index of the if line
+     * @param {number} close - Index of the endif line
+     */
+    runIf(lines, start, close, key, condition, lineNum) {
+        let branch = start;
+        let taken = this.evaluateExpression(condition, lineNum) !== 0;
+        
+        for (;;) {
+            const next = this.findOWord(lines, branch + 1, close, key, ['elseif', 'else']);
+            if (taken) return this.runBlock(lines, branch + 1, next === -1 ? close : next);
+            if (next === -1) return null;
+            
+            const oWord = this.parseOWord(lines[next].text);
+            branch = next;
+            taken = oWord.keyword === 'else' || this.evaluateExpression(oWord.rest, lines[next].lineNum) !== 0;
+        }
+    }
+
+    /**
+     * Run a subroutine with arguments in #1, #2 ...; #1-#30 are restored afterwards
+     */
+    callSubroutine(key, args, lineNum) {
+        const body = this.subroutines.get(key);
+        if (!body) {
+            this.addDiagnostic(lineNum, 'error', 'UNDEFINED_SUBROUTINE', `O${key} is called before it is defined`);
+            return null;
+        }
+        if (this.callDepth >= GCodeParser.MAX_CALL_DEPTH) {
+            this.addDiagnostic(lineNum, 'error', 'CALL_DEPTH', `O${key} call nested more than ${GCodeParser.MAX_CALL_DEPTH} deep`);
+            return { type: 'abort' };
+        }
+        if (!this.countIteration(lineNum)) return { type: 'abort' };
+        
+        const values = [];
+        const reader = { text: args, pos: 0, lineNum };
+        try {
+            for (this.skipSpaces(reader); reader.pos < args.length; this.skipSpaces(reader)) {
+                values.push(this.readValue(reader, false));
+            }
+        } catch (error) {
+            this.addDiagnostic(lineNum, 'error', 'EXPRESSION_ERROR', `${error.message} in "${args}"`);
+            return null;
+        }
+        
+        const saved = new Map();
+        for (let i = 1; i <= GCodeParser.LOCAL_PARAMETERS; i++) {
+            if (this.parameters.has(i)) saved.set(i, this.parameters.get(i));
+            this.parameters.delete(i);
+        }
+        values.forEach((value, i) => this.parameters.set(i + 1, value));
+        
+        this.callDepth++;
+        const signal = this.runBlock(body, 0, body.length);
+        this.callDepth--;
+        
+        for (let i = 1; i <= GCodeParser.LOCAL_PARAMETERS; i++) {
+            if (saved.has(i)) {
+                this.parameters.set(i, saved.get(i));
+            } else {
+                this.parameters.delete(i);
+            }
+        }
+        return signal && signal.type === 'abort' ? signal : null;
+    }
+
+    /**
+     * Count a loop iteration or call against MAX_FLOW_ITERATIONS
+     * @returns {boolean} False once the limit is reached
+     */
+    countIteration(lineNum) {
+        this.flowIterations++;
+        if (this.flowIterations === GCodeParser.MAX_FLOW_ITERATIONS + 1) {
+            this.addDiagnostic(lineNum, 'error', 'ITERATION_LIMIT',
+                `Stopped after ${GCodeParser.MAX_FLOW_ITERATIONS} loop iterations and calls`);
+        }
+        return this.flowIterations <= GCodeParser.MAX_FLOW_ITERATIONS;
+    }
+
+    /**
+     * Report a block still open at the end of the input (its lines are not run)
+     */
+    finishControlFlow() {
+        if (!this.flowBlock) return;
+        
+        const { key, keyword, lines } = this.flowBlock;
+        this.addDiagnostic(lines[0].lineNum, 'error', 'UNCLOSED_BLOCK',
+            `O${key} ${keyword} has no matching O${key} ${GCodeParser.BLOCK_ENDS[keyword]}`);
+        this.flowBlock = null;
+    }
+
+    /**
+     * Evaluate a standalone expression such as a loop condition
+     * @returns {number} Value, or 0 after reporting an error
+     */
+    evaluateExpression(text, lineNum) {
+        const reader = { text, pos: 0, lineNum };
+        try {
+            const value = this.readExpression(reader, false);
+            this.skipSpaces(reader);
+            if (reader.pos < text.length) throw new Error(`Unexpected "${text[reader.pos]}"`);
+            if (!isFinite(value)) throw new Error('Expression result is not a number');
+            return value;
+        } catch (error) {
+            this.addDiagnostic(lineNum, 'error', 'EXPRESSION_ERROR', `${error.message} in "${text}"`);
+            return 0;
+        }
+    }
+
+    /**
+     * Replace parameter references and [expressions] in word values with numbers, and apply
+     * #1=... / #<name>=... assignments; as in LinuxCNC, assignments take effect after the line is read
+     * @returns {string} The line as plain words, or '' if it had an expression error
+     */
+    expandExpressions(line, lineNum) {
+        const reader = { text: line, pos: 0, lineNum };
+        const assignments = [];
+        let output = '';
+        
+        try {
+            while (reader.pos < line.length) {
+                const char = line[reader.pos];
+                
+                if (char === '#') {
+                    const key = this.readParameterKey(reader);
+                    this.skipSpaces(reader);
+                    if (line[reader.pos] !== '=') throw new Error('Parameter used outside of a word');
+                    reader.pos++;
+                    assignments.push([key, this.readExpression(reader, false)]);
+                } else if (/[A-Z]/i.test(char)) {
+                    reader.pos++;
+                    output += `${char}${this.formatNumber(this.readValue(reader, false))} `;
+                } else if (/\s/.test(char)) {
+                    reader.pos++;
+                } else {
+                    // Left in place so the unparsed text diagnostic reports it
+                    output += char;
+                    reader.pos++;
+                }
+            }
+        } catch (error) {
+            this.addDiagnostic(lineNum, 'error', 'EXPRESSION_ERROR', `${error.message} in "${line}"`);
+            return '';
+        }
+        
+        for (const [key, value] of assignments) {
+            this.parameters.set(key, value);
+        }
+        return output.trim();
+    }
+
+    /**
+     * Read an expression: values joined by binary operators, by precedence
+     * @param {Object} reader - { text, pos, lineNum }, advanced past the expression
+     * @param {boolean} bracketed - Inside [ ], where named operators (MOD, EQ, AND ...) are allowed
+     */
+    readExpression(reader, bracketed, minPrecedence = 0) {
+        let left = this.readValue(reader, bracketed);
+        
+        for (;;) {
+            this.skipSpaces(reader);
+            const rest = reader.text.slice(reader.pos);
+            let operator = '';
+            if (rest.startsWith('**')) {
+                operator = '**';
+            } else if (/^[*\/+-]/.test(rest)) {
+                operator = rest[0];
+            } else if (bracketed) {
+                const named = rest.match(/^(MOD|EQ|NE|GT|GE|LT|LE|AND|OR|XOR)(?![A-Z])/i);
+                if (named) operator = named[1].toUpperCase();
+            }
+            
+            const precedence = GCodeParser.EXPRESSION_OPERATORS[operator];
+            if (!operator || precedence < minPrecedence) return left;
+            
+            reader.pos += operator.length;
+            const right = this.readExpression(reader, bracketed, precedence + 1);
+            left = this.applyOperator(operator, left, right);
+        }
+    }
+
+    /**
+     * Read a single value: number, #parameter, [expression], function call or signed value
+     */
+    readValue(reader, bracketed) {
+        this.skipSpaces(reader);
+        const text = reader.text;
+        const char = text[reader.pos];
+        
+        if (char === '-' || char === '+') {
+            reader.pos++;
+            const value = this.readValue(reader, bracketed);
+            return char === '-' ? -value : value;
+        }
+        if (char === '[') {
+            reader.pos++;
+            const value = this.readExpression(reader, true);
+            this.expect(reader, ']');
+            return value;
+        }
+        if (char === '#') {
+            return this.getParameter(this.readParameterKey(reader), reader.lineNum);
+        }
+        
+        const number = /(?:\d+\.?\d*|\.\d+)/y;
+        number.lastIndex = reader.pos;
+        const numberMatch = number.exec(text);
+        if (numberMatch) {
+            reader.pos += numberMatch[0].length;
+            return parseFloat(numberMatch[0]);
+        }
+        
+        const name = /[A-Z]+/iy;
+        name.lastIndex = reader.pos;
+        const nameMatch = name.exec(text);
+        if (nameMatch) {
+            const func = nameMatch[0].toUpperCase();
+            reader.pos += func.length;
+            
+            if (func === 'ATAN') {
+                // ATAN[y]/[x], result in degrees
+                this.skipSpaces(reader);
+                this.expect(reader, '[');
+                const y = this.readExpression(reader, true);
+                this.expect(reader, ']');
+                this.skipSpaces(reader);
+                this.expect(reader, '/');
+                this.skipSpaces(reader);
+                this.expect(reader, '[');
+                const x = this.readExpression(reader, true);
+                this.expect(reader, ']');
+                return Math.atan2(y, x) * 180 / Math.PI;
+            }
+            if (func === 'EXISTS') {
+                this.skipSpaces(reader);
+                this.expect(reader, '[');
+                this.skipSpaces(reader);
+                const key = this.readParameterKey(reader);
+                this.skipSpaces(reader);
+                this.expect(reader, ']');
+                return this.parameters.has(key) ? 1 : 0;
+            }
+            if (GCodeParser.EXPRESSION_FUNCTIONS[func]) {
+                this.skipSpaces(reader);
+                this.expect(reader, '[');
+                const argument = this.readExpression(reader, true);
+                this.expect(reader, ']');
+                return GCodeParser.EXPRESSION_FUNCTIONS[func](argument);
+            }
+            throw new Error(`Unknown function ${func}`);
+        }
+        
+        throw new Error(char ? `Unexpected "${char}"` : 'Missing value');
+    }
+
+    /**
+     * Read a parameter name after '#': #5, #<name>, ##1 (indirect) or #[expr]
+     * @returns {number|string} Parameter key
+     */
+    readParameterKey(reader) {
+        this.expect(reader, '#');
+        
+        if (reader.text[reader.pos] === '<') {
+            const end = reader.text.indexOf('>', reader.pos);
+            if (end === -1) throw new Error('Unclosed parameter name');
+            // Names are case-insensitive and ignore spaces
+            const name = reader.text.slice(reader.pos + 1, end).replace(/\s+/g, '').toLowerCase();
+            reader.pos = end + 1;
+            return name;
+        }
+        return Math.round(this.readValue(reader, false));
+    }
+
+    /**
+     * Get a parameter value; unset numbered parameters read as 0
+     */
+    getParameter(key, lineNum) {
+        if (this.parameters.has(key)) return this.parameters.get(key);
+        if (typeof key === 'string') {
+            this.addDiagnostic(lineNum, 'warning', 'UNDEFINED_PARAMETER', `Parameter #<${key}> used before it was set`);
+        }
+        return 0;
+    }
+
+    /**
+     * Apply a binary expression operator
+     */
+    applyOperator(operator, left, right) {
+        switch (operator) {
+            case '**': return Math.pow(left, right);
+            case '*': return left * right;
+            case '/': return left / right;
+            case 'MOD': return left - right * Math.floor(left / right); // Result has the sign of the divisor
+            case '+': return left + right;
+            case '-': return left - right;
+            case 'EQ': return left === right ? 1 : 0;
+            case 'NE': return left !== right ? 1 : 0;
+            case 'GT': return left > right ? 1 : 0;
+            case 'GE': return left >= right ? 1 : 0;
+            case 'LT': return left < right ? 1 : 0;
+            case 'LE': return left <= right ? 1 : 0;
+            case 'AND': return left && right ? 1 : 0;
+            case 'OR': return left || right ? 1 : 0;
+            case 'XOR': return !left !== !right ? 1 : 0;
+        }
+    }
+
+    /**
+     * Consume an expected character or fail
+     */
+    expect(reader, char) {
+        if (reader.text[reader.pos] !== char) {
+            throw new Error(`Expected "${char}"`);
+        }
+        reader.pos++;
+    }
+
+    /**
+     * Advance the reader past whitespace
+     */
+    skipSpaces(reader) {
+        while (reader.pos < reader.text.length && /\s/.test(reader.text[reader.pos])) reader.pos++;
+    }
+
+    /**
+     * Format an expression result as a word value the word regex reads back exactly
+     */
+    formatNumber(value) {
+        if (!isFinite(value)) throw new Error('Expression result is not a number');
+        // Rounding first avoids exponents like 1e-7, which aren't valid G-code numbers
+        return String(parseFloat(value.toFixed(6)));
     }
 
     /**
@@ -238,7 +1140,7 @@ class GCodeParser {
      */
     extractWords(line) {
         const words = [];
-        const regex = /([A-Z])([+-]?\d+\.?\d*)/gi;
+        const regex = /([A-Z])([+-]?(?:\d+\.?\d*|\.\d+))/gi; // Also accepts ".5" style values
         let match;
         
         while ((match = regex.exec(line)) !== null) {
@@ -253,11 +1155,40 @@ class GCodeParser {
      */
     processMCode(code, words, lineNum) {
         switch (code) {
+            case 3: // Spindle on, clockwise
+                this.spindle = 'cw';
+                break;
+            case 4: // Spindle on, counter-clockwise
+                this.spindle = 'ccw';
+                break;
+            case 5: // Spindle stop
+                this.spindle = 'off';
+                break;
             case 6: // Tool change
                 // Tool number is typically set by T command before M6
                 // currentTool is already updated by T command
                 this.lastToolChangeType = 'M6';
                 break;
+            case 7: // Mist coolant on
+                this.coolantMist = true;
+                break;
+            case 8: // Flood coolant on
+                this.coolantFlood = true;
+                break;
+            case 9: // All coolant off
+                this.coolantMist = false;
+                this.coolantFlood = false;
+                break;
+            case 82: // Absolute extrusion
+                this.extrudeAbsolute = true;
+                break;
+            case 83: // Relative extrusion
+                this.extrudeAbsolute = false;
+                break;
+            default:
+                if (!GCodeParser.IGNORED_MCODES.includes(code)) {
+                    this.addDiagnostic(lineNum, 'info', 'UNSUPPORTED_MCODE', `M${code} is not simulated`);
+                }
         }
     }
 
@@ -265,6 +1196,11 @@ class GCodeParser {
      * Process G-code command
      */
     processGCode(code, words, lineNum) {
+        // Any other motion mode cancels a canned cycle
+        if (code <= 3 || code === 80) this.activeCycle = null;
+        
+        if (code >= 1 && code <= 3) this.checkFeedMode(code, words, lineNum);
+        
         switch (code) {
             case 0: // Rapid move
                 return this.linearMove(words, 'rapid', lineNum);
@@ -274,6 +1210,11 @@ class GCodeParser {
                 return this.arcMove(words, 'cw', lineNum);
             case 3: // Counter-clockwise arc
                 return this.arcMove(words, 'ccw', lineNum);
+            case 4: // Dwell (P in seconds)
+                for (const [letter, value] of words) {
+                    if (letter === 'P') this.dwell(value, lineNum);
+                }
+                return false;
             case 17: // XY plane
                 this.plane = 'XY';
                 return false;
@@ -283,33 +1224,360 @@ class GCodeParser {
             case 19: // YZ plane
                 this.plane = 'YZ';
                 return false;
-            case 20: // Inches
-                this.units = 'inches';
-                return false;
+            case 20: // Inches (applied in parseLine before motion)
             case 21: // Millimeters
-                this.units = 'mm';
                 return false;
-            case 90: // Absolute positioning
+            case 93: // Inverse time feed (applied in parseLine before motion)
+            case 94: // Units per minute feed
+            case 95: // Units per revolution feed
+                return false;
+            case 40: // Cutter compensation off
+                return false;
+            case 41: // Cutter compensation left/right - the programmed path is shown uncompensated
+            case 42:
+                this.addDiagnostic(lineNum, 'warning', 'CUTTER_COMP', `G${code} cutter compensation is not applied to the preview`);
+                return false;
+            case 53: // Machine coordinates (non-modal, handled in extractTarget)
+                return false;
+            case 54: // Work coordinate systems G54-G59.3 (applied in parseLine before motion)
+            case 55:
+            case 56:
+            case 57:
+            case 58:
+            case 59:
+            case 59.1:
+            case 59.2:
+            case 59.3:
+                return false;
+            case 92: // Set coordinate offset so the current position reads as the given values
+                for (const [letter, value] of words) {
+                    const axis = letter.toLowerCase();
+                    if (letter === 'X' || letter === 'Y' || letter === 'Z') {
+                        this.g92Offset[axis] = this.position[axis] - this.workOffsets[this.activeWcs][axis] - this.toMM(value);
+                    } else if (letter === 'A' || letter === 'B' || letter === 'C') {
+                        // Rotary axes have no offsets, so re-zeroing (e.g. G92 A0) just renames the angle
+                        this.position = { ...this.position, [axis]: value };
+                    } else if (letter === 'E') {
+                        // Slicers reset the filament position (G92 E0) to keep E values short
+                        this.extruderPosition = this.toMM(value);
+                    }
+                }
+                return false;
+            case 92.1: // Reset G92 offset
+                this.g92Offset = { x: 0, y: 0, z: 0 };
+                return false;
+            case 28: // Return to a stored reference position
+            case 30:
+                return this.referenceMove(code, words, lineNum);
+            case 28.1: // Store the current position as the reference
+            case 30.1: {
+                const { x, y, z } = this.position;
+                this.references[GCodeParser.REFERENCE_CODES.indexOf(Math.floor(code))] = { x, y, z };
+                return false;
+            }
+            case 38.2: // Probe toward the workpiece (error / no error if no contact)
+            case 38.3:
+            case 38.4: // Probe away from the workpiece
+            case 38.5:
+                // The contact point isn't known, so the full programmed move is shown
+                return this.linearMove(words, 'probe', lineNum);
+            case 73: // Peck drilling, chip break
+            case 81: // Drilling
+            case 82: // Drilling with dwell
+            case 83: // Peck drilling, full retract
+            case 84: // Tapping
+            case 85: // Boring, feed out
+            case 86: // Boring, spindle stop, rapid out
+            case 87: // Back boring (approximated as a straight plunge)
+            case 88: // Boring, manual retract
+            case 89: // Boring with dwell, feed out
+                return this.cannedCycle(code, words, lineNum);
+            case 98: // Canned cycle retract to initial level
+                this.retractMode = 'initial';
+                return false;
+            case 99: // Canned cycle retract to R plane
+                this.retractMode = 'rplane';
+                return false;
+            case 90: // Absolute positioning (printers: E too, until M83)
                 this.absolute = true;
+                this.extrudeAbsolute = true;
                 return false;
             case 91: // Relative positioning
                 this.absolute = false;
+                this.extrudeAbsolute = false;
+                return false;
+            case 90.1: // Absolute arc centers
+                this.absoluteArcCenter = true;
+                return false;
+            case 91.1: // Incremental arc centers (default)
+                this.absoluteArcCenter = false;
+                return false;
+            case 80: // Cancel canned cycle (handled above)
                 return false;
             default:
+                if (!GCodeParser.IGNORED_GCODES.includes(code)) {
+                    this.addDiagnostic(lineNum, 'warning', 'UNSUPPORTED_GCODE', `G${code} is not supported and was ignored`);
+                }
                 return false;
         }
     }
 
+    /**
+     * Switch input units, recording mid-program changes
+     * @param {string} units - 'mm' or 'inches'
+     * @param {number} lineNum - Source line number
+     */
+    setUnits(units, lineNum) {
+        // A switch after motion has started (or after an earlier G20/G21) makes the file mixed-unit
+        if (units !== this.units && (this.programUnits || this.segments.length > 0)) {
+            this.unitChanges.push({ lineNum, units });
+            this.addDiagnostic(lineNum, 'warning', 'MIXED_UNITS', `Units switch to ${units} mid-program`);
+        }
+        if (!this.programUnits) {
+            this.programUnits = this.segments.length > 0 ? this.units : units;
+        }
+        this.units = units;
+    }
+
+    /**
+     * Switch work coordinate system
+     * Before the first motion the tool is taken to be at the new system's origin rather than G54's,
+     * so a program that only uses G55 doesn't start with a move over from the G54 origin.
+     * @param {number} wcs - Index into workOffsets
+     */
+    selectWcs(wcs) {
+        if (this.referenceWcs === -1) {
+            const from = this.workOffsets[this.activeWcs];
+            const to = this.workOffsets[wcs];
+            this.position = {
+                ...this.position,
+                x: this.position.x + to.x - from.x,
+                y: this.position.y + to.y - from.y,
+                z: this.position.z + to.z - from.z
+            };
+        }
+        this.activeWcs = wcs;
+    }
+
+    /**
+     * Get the combined work offset (active WCS + G92) in machine coordinates
+     */
+    getActiveOffset() {
+        const wcs = this.workOffsets[this.activeWcs];
+        return {
+            x: wcs.x + this.g92Offset.x,
+            y: wcs.y + this.g92Offset.y,
+            z: wcs.z + this.g92Offset.z
+        };
+    }
+
+    /**
+     * Set the work offset table
+     * @param {Array<Object>} offsets - {x, y, z} in mm for G54, G55, ... G59.3
+     */
+    setWorkOffsets(offsets) {
+        this.workOffsets = GCodeParser.WCS_CODES.map((code, i) => ({
+            x: (offsets[i] && offsets[i].x) || 0,
+            y: (offsets[i] && offsets[i].y) || 0,
+            z: (offsets[i] && offsets[i].z) || 0
+        }));
+    }
+
+    /**
+     * Set the stored reference positions
+     * @param {Array<Object>} positions - {x, y, z} in machine coordinates (mm) for G28 and G30
+     */
+    setReferencePositions(positions) {
+        this.referencePositions = GCodeParser.REFERENCE_CODES.map((code, i) => ({
+            x: (positions[i] && positions[i].x) || 0,
+            y: (positions[i] && positions[i].y) || 0,
+            z: (positions[i] && positions[i].z) || 0
+        }));
+    }
+
+    /**
+     * Classify a printer move by its filament: moves that push filament are extrusions ('cut'),
+     * moves that pull it back or only move filament are retracts, and everything else is travel
+     * Also starts a new layer when an extrusion rises above the current one (files without ;LAYER comments).
+     */
+    classifyPrintMove(segment) {
+        const extrusion = segment.extrusion || 0;
+        const moved = segment.start.x !== segment.end.x || segment.start.y !== segment.end.y || segment.start.z !== segment.end.z;
+        
+        if (extrusion < 0 || (extrusion > 0 && !moved)) {
+            segment.type = 'retract';
+        } else if (extrusion > 0) {
+            segment.type = 'cut';
+            if (!this.layerComments && segment.end.z >= this.layerZ + GCodeParser.MIN_LAYER_HEIGHT) {
+                this.startLayer();
+                this.layerZ = segment.end.z;
+            }
+            this.layerExtruded = true;
+            this.layerCount = Math.max(this.layerCount, this.layer + 1);
+        } else {
+            segment.type = 'rapid';
+        }
+        this.filamentLength += extrusion;
+    }
+
+    /**
+     * Move on to the next print layer, unless nothing was extruded on the current one yet
+     * (so start G-code and ;LAYER comments before the first extrusion don't leave empty layers)
+     */
+    startLayer() {
+        if (!this.layerExtruded) return;
+        this.layer++;
+        this.layerExtruded = false;
+    }
+
+    /**
+     * Handle slicer layer and feature type comments
+     * @returns {boolean} True if the comment was one of them
+     */
+    processPrintComment(comment) {
+        // Cura ;LAYER:3, PrusaSlicer/OrcaSlicer ;LAYER_CHANGE, Simplify3D ; layer 3, Z = 0.6
+        if (/^(?:LAYER:\s*-?\d+|LAYER_CHANGE\b|layer \d+)/i.test(comment)) {
+            this.layerComments = true;
+            this.startLayer();
+            return true;
+        }
+        
+        // Cura ;TYPE:WALL-OUTER, PrusaSlicer ;TYPE:External perimeter, Simplify3D ; feature outer perimeter
+        const featureMatch = comment.match(/^(?:TYPE:|feature )\s*(.+)$/);
+        if (featureMatch) {
+            const name = featureMatch[1].trim();
+            let index = this.features.indexOf(name);
+            if (index === -1) index = this.features.push(name) - 1;
+            this.currentFeature = index;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Check a move (still in machine coordinates) against the soft limits
+     * Arc pieces are checked at their ends, which lie on the arc, so bulges are caught to within the arc tolerance.
+     * @returns {boolean} True if the move leaves the machine envelope
+     */
+    checkLimits(segment) {
+        if (!this.machineLimits) return false;
+        
+        const { min, max } = this.machineLimits;
+        const axes = [];
+        for (const axis of ['x', 'y', 'z']) {
+            const excess = Math.max(
+                min[axis] - segment.start[axis], segment.start[axis] - max[axis],
+                min[axis] - segment.end[axis], segment.end[axis] - max[axis]
+            );
+            if (excess > GCodeParser.LIMIT_TOLERANCE) {
+                axes.push(axis.toUpperCase());
+                this.limitExcess[axis] = Math.max(this.limitExcess[axis], excess);
+            }
+        }
+        if (axes.length === 0) return false;
+        
+        this.limitViolations++;
+        if (this.lastLimitLine !== segment.lineNum) {
+            this.lastLimitLine = segment.lineNum;
+            this.addDiagnostic(segment.lineNum, 'error', 'SOFT_LIMIT', `Move goes past the machine's ${axes.join('/')} travel limits`);
+        }
+        return true;
+    }
+
+    /**
+     * Set the soft limits moves are checked against
+     * @param {Object|null} limits - { min: {x, y, z}, max: {x, y, z} } in machine coordinates (mm), or null to not check
+     */
+    setMachineLimits(limits) {
+        this.machineLimits = limits;
+    }
+
+    /**
+     * Get the offset from the program's work coordinates (its first WCS) to the frame segments are output in,
+     * for placing things given in work coordinates, like the stock, alongside the segments
+     * @returns {Object} { x, y, z } in mm; zero in the work frame
+     */
+    getFrameOffset() {
+        if (this.coordinateFrame !== 'machine') return { x: 0, y: 0, z: 0 };
+        return { ...this.workOffsets[Math.max(0, this.referenceWcs)] };
+    }
+
+    /**
+     * Set the coordinate frame segments are output in
+     * @param {string} frame - 'work' or 'machine'
+     */
+    setCoordinateFrame(frame) {
+        this.coordinateFrame = frame === 'machine' ? 'machine' : 'work';
+    }
+
+    /**
+     * Enable laser mode, where cuts with the laser off (M5 or S0) become travel moves
+     */
+    setLaserMode(enabled) {
+        this.laserMode = !!enabled;
+    }
+
+    /**
+     * Select the dialect files are interpreted in
+     * @param {string} dialect - Key of DIALECTS, or 'auto' to detect it from header comments
+     */
+    setDialect(dialect) {
+        this.dialect = GCodeParser.DIALECTS[dialect] ? dialect : 'auto';
+    }
+
+    /**
+     * Set the chordal deviation arcs are tessellated to
+     * @param {number} tolerance - Max distance in mm between a chord and the true arc
+     */
+    setArcTolerance(tolerance) {
+        this.arcTolerance = tolerance > 0 ? tolerance : GCodeParser.DEFAULT_ARC_TOLERANCE;
+    }
+
+    /**
+     * Convert a length or feed rate in the current input units to mm
+     */
+    toMM(value) {
+        return this.units === 'inches' ? value * 25.4 : value;
+    }
+
     /**
      * Process linear move (G0/G1)
      */
     linearMove(words, type, lineNum) {
-        const target = this.extractTarget(words);
+        return this.emitMove(this.extractTarget(words), type, lineNum);
+    }
+
+    /**
+     * G28/G30: rapid through an optional intermediate point to the stored reference position
+     * Only the axes named on the line go to the reference; with no axis words X, Y and Z all do.
+     */
+    referenceMove(code, words, lineNum) {
+        const reference = this.references[GCodeParser.REFERENCE_CODES.indexOf(code)];
+        const axes = words.filter(([letter]) => 'XYZ'.includes(letter)).map(([letter]) => letter.toLowerCase());
+        
+        // Axis words give the intermediate point, in the current distance mode
+        const moved = axes.length > 0 && this.emitMove(this.extractTarget(words), 'home', lineNum);
         
+        const target = { ...this.position };
+        for (const axis of axes.length > 0 ? axes : ['x', 'y', 'z']) {
+            target[axis] = reference[axis];
+        }
+        return this.emitMove(target, 'home', lineNum) || moved;
+    }
+
+    /**
+     * Add a straight move from the current position to target (machine coordinates)
+     * @returns {boolean} True if a segment was added
+     */
+    emitMove(target, type, lineNum) {
         if (target.x === this.position.x && 
             target.y === this.position.y && 
-            target.z === this.position.z) {
-            return false; // No movement
+            target.z === this.position.z &&
+            target.a === this.position.a &&
+            target.b === this.position.b &&
+            target.c === this.position.c &&
+            !this.pendingExtrusion) {
+            return false; // No movement (a filament-only move still is one, e.g. a retract)
         }
         
         this.addSegment({
@@ -319,35 +1587,162 @@ class GCodeParser {
             feedRate: this.feedRate,
             tool: this.currentTool,
             toolChangeType: this.lastToolChangeType,
+            extrusion: this.pendingExtrusion,
             lineNum
         });
         
-        // Clear tool change type after adding segment
+        // Clear tool change type and extrusion after adding segment
         this.lastToolChangeType = null;
+        this.pendingExtrusion = 0;
         
         this.position = target;
-        this.updateBounds(target);
         return true;
     }
 
+    /**
+     * Expand a canned cycle into rapid/feed segments (LinuxCNC semantics)
+     * R, Z, Q and P are sticky while the cycle is active; L repeats the hole,
+     * which under G91 steps by the incremental X/Y each time.
+     */
+    cannedCycle(code, words, lineNum) {
+        // Starting a cycle captures the initial Z used by G98 retracts
+        if (this.activeCycle !== code) {
+            this.activeCycle = code;
+            this.cycleInitialZ = this.position.z;
+        }
+        
+        const params = this.cycleParams;
+        let repeats = 1;
+        for (const [letter, value] of words) {
+            switch (letter) {
+                case 'R': params.r = this.toMM(value); break;
+                case 'Z': params.z = this.toMM(value); break;
+                case 'Q': params.q = Math.abs(this.toMM(value)); break;
+                case 'P': params.p = value; break;
+                case 'L': repeats = Math.max(1, Math.floor(value)); break;
+            }
+        }
+        
+        if (params.r === null || params.z === null) {
+            this.addDiagnostic(lineNum, 'error', 'CYCLE_MISSING_RZ', `Canned cycle G${code} is missing R or Z`);
+            return false;
+        }
+        
+        // G90: R and Z are work coordinates. G91: R is relative to the initial Z, Z relative to R
+        const offsetZ = this.getActiveOffset().z;
+        const rPlane = this.absolute ? params.r + offsetZ : this.cycleInitialZ + params.r;
+        const bottom = this.absolute ? params.z + offsetZ : rPlane + params.z;
+        const clearZ = this.retractMode === 'initial' ? Math.max(this.cycleInitialZ, rPlane) : rPlane;
+        
+        if (bottom > rPlane) {
+            this.addDiagnostic(lineNum, 'error', 'CYCLE_Z_ABOVE_R', `Canned cycle G${code} has Z above the R plane`);
+            return false;
+        }
+        
+        const clearance = 0.254; // LinuxCNC's 0.010" peck retract/re-approach distance
+        const xyWords = words.filter(([letter]) => letter === 'X' || letter === 'Y');
+        
+        // Preliminary move: rise to the R plane if starting below it
+        if (this.position.z < rPlane) {
+            this.emitMove({ ...this.position, z: rPlane }, 'rapid', lineNum);
+        }
+        
+        for (let i = 0; i < repeats; i++) {
+            const hole = this.extractTarget(xyWords);
+            this.emitMove({ ...hole, z: this.position.z }, 'rapid', lineNum);
+            this.emitMove({ ...hole, z: rPlane }, 'rapid', lineNum);
+            
+            if ((code === 73 || code === 83) && params.q > 0) {
+                let depth = rPlane;
+                while (depth > bottom) {
+                    depth = Math.max(depth - params.q, bottom);
+                    this.emitMove({ ...hole, z: depth }, 'cut', lineNum);
+                    if (depth > bottom) {
+                        // G83 clears chips with a full retract, G73 only breaks them
+                        this.emitMove({ ...hole, z: code === 83 ? rPlane : depth + clearance }, 'rapid', lineNum);
+                        this.emitMove({ ...hole, z: depth + clearance }, 'rapid', lineNum);
+                    }
+                }
+            } else {
+                this.emitMove({ ...hole, z: bottom }, 'cut', lineNum);
+            }
+            
+            // Dwell at the bottom of the hole
+            if ((code === 82 || code === 89) && params.p > 0) {
+                this.dwell(params.p, lineNum);
+            }
+            
+            // Tapping and boring cycles feed back out to the R plane
+            if (code === 84 || code === 85 || code === 89) {
+                this.emitMove({ ...hole, z: rPlane }, 'cut', lineNum);
+            }
+            this.emitMove({ ...hole, z: clearZ }, 'rapid', lineNum);
+        }
+        
+        return true;
+    }
+
+    /**
+     * Record a dwell; its time is carried by the next segment
+     * @param {number} seconds - Dwell duration
+     * @param {number} lineNum - Source line number
+     */
+    dwell(seconds, lineNum) {
+        if (!(seconds > 0)) return;
+        this.pendingDwell += seconds;
+        this.dwells.push({ lineNum, seconds });
+    }
+
+    /**
+     * Add a dwell left after the last motion to the last segment, so the job time still includes it
+     */
+    finishDwell() {
+        if (this.pendingDwell > 0 && this.segments.length > 0) {
+            this.segments.columns.dwell[this.segments.length - 1] += this.pendingDwell;
+        }
+        this.pendingDwell = 0;
+    }
+
+    /**
+     * Warn about feed moves whose duration can't be worked out in the current feed mode
+     */
+    checkFeedMode(code, words, lineNum) {
+        if (this.feedMode === 'inverseTime' && !words.some(([letter]) => letter === 'F')) {
+            this.addDiagnostic(lineNum, 'warning', 'INVERSE_TIME_NO_F', `G${code} in inverse time mode (G93) needs an F word on the same line`);
+        } else if (this.feedMode === 'perRevolution' && (this.spindle === 'off' || this.spindleSpeed <= 0)) {
+            this.addDiagnostic(lineNum, 'warning', 'FEED_PER_REV_NO_SPINDLE', `G${code} in feed per revolution mode (G95) with the spindle stopped`);
+        }
+    }
+
     /**
      * Process arc move (G2/G3)
      */
     arcMove(words, direction, lineNum) {
         const target = this.extractTarget(words);
-        const offset = this.extractOffset(words);
+        let offset = this.extractOffset(words);
         
         if (!offset) {
-            console.error(`Arc command at line ${lineNum} missing I/J/K parameters`);
-            return false;
+            // Fall back to radius format (R word) when no center offset is given
+            const rWord = words.find(([letter]) => letter === 'R');
+            if (!rWord) {
+                this.addDiagnostic(lineNum, 'error', 'ARC_NO_OFFSET', 'Arc is missing I/J/K or R parameters');
+                return false;
+            }
+            offset = this.radiusToOffset(this.position, target, this.toMM(rWord[1]), direction === 'cw', lineNum);
+            if (!offset) return false;
         }
         
+        // P gives the number of turns for multi-turn helices (P1 is a plain arc)
+        const pWord = words.find(([letter]) => letter === 'P');
+        const turns = pWord ? Math.max(1, Math.round(pWord[1])) : 1;
+        
         // Calculate arc segments
         const segments = this.tessellateArc(
             this.position,
             target,
             offset,
-            direction === 'cw'
+            direction === 'cw',
+            turns
         );
         
         // Add each segment
@@ -356,12 +1751,17 @@ class GCodeParser {
                 type: 'cut',
                 start: seg.start,
                 end: seg.end,
-                feedRate: this.feedRate,
+                center: seg.center,
+                radius: seg.radius,
+                sweep: seg.sweep,
+                // Inverse time is for the whole arc; each of the equal pieces gets its share
+                feedRate: this.feedMode === 'inverseTime' ? this.feedRate * segments.length : this.feedRate,
                 tool: this.currentTool,
+                extrusion: this.pendingExtrusion / segments.length,
                 lineNum
             });
-            this.updateBounds(seg.end);
         }
+        this.pendingExtrusion = 0;
         
         this.position = target;
         return segments.length > 0;
@@ -372,19 +1772,28 @@ class GCodeParser {
      */
     extractTarget(words) {
         const target = { ...this.position };
+        // G53 on this line means absolute machine coordinates, bypassing work offsets
+        const machine = words.some(([letter, value]) => letter === 'G' && value === 53);
+        const offset = this.getActiveOffset();
         
         for (const [letter, value] of words) {
-            const actualValue = this.absolute ? value : this.position[letter.toLowerCase()] + value;
+            const axis = letter.toLowerCase();
             
             switch (letter) {
                 case 'X':
-                    target.x = actualValue;
-                    break;
                 case 'Y':
-                    target.y = actualValue;
+                case 'Z': {
+                    const mmValue = this.toMM(value);
+                    target[axis] = machine ? mmValue :
+                        this.absolute ? mmValue + offset[axis] : this.position[axis] + mmValue;
                     break;
-                case 'Z':
-                    target.z = actualValue;
+                }
+                case 'A':
+                case 'B':
+                case 'C':
+                    // Degrees: no unit conversion or work offset
+                    target[axis] = this.absolute || machine ? value : this.position[axis] + value;
+                    if (!this.rotaryAxes.includes(letter)) this.rotaryAxes.push(letter);
                     break;
             }
         }
@@ -393,7 +1802,9 @@ class GCodeParser {
     }
 
     /**
-     * Extract arc offset (I, J, K)
+     * Extract arc offset (I, J, K) from the current position to the arc center
+     * Under G90.1 the words are the center in work coordinates (missing ones read as 0)
+     * and are converted to offsets; G90/G91 don't affect them either way.
      */
     extractOffset(words) {
         let offset = null;
@@ -401,17 +1812,75 @@ class GCodeParser {
         for (const [letter, value] of words) {
             if (letter === 'I' || letter === 'J' || letter === 'K') {
                 if (!offset) offset = { i: 0, j: 0, k: 0 };
-                offset[letter.toLowerCase()] = value;
+                offset[letter.toLowerCase()] = this.toMM(value);
             }
         }
         
+        if (offset && this.absoluteArcCenter) {
+            const workOffset = this.getActiveOffset();
+            offset.i += workOffset.x - this.position.x;
+            offset.j += workOffset.y - this.position.y;
+            offset.k += workOffset.z - this.position.z;
+        }
+        
         return offset;
     }
 
     /**
-     * Tessellate arc into line segments with adaptive quality
+     * Convert radius format arc (R word) to an equivalent I/J/K center offset
+     * Positive R selects the short arc (<= 180°), negative R the long way around.
+     * Center calculation follows the GRBL/LinuxCNC convention.
+     * @param {Object} start - Arc start point {x, y, z}
+     * @param {Object} end - Arc end point {x, y, z}
+     * @param {number} radius - Signed R word value
+     * @param {boolean} clockwise - True for G2, false for G3
+     * @param {number} lineNum - Source line number for diagnostics
+     * @returns {Object|null} Offset {i, j, k} or null if the arc is invalid
      */
-    tessellateArc(start, end, offset, clockwise) {
+    radiusToOffset(start, end, radius, clockwise, lineNum) {
+        // Map the active plane to in-plane axes (u, v) and their offset letters
+        const [u, v, ou, ov] = this.plane === 'XY' ? ['x', 'y', 'i', 'j'] :
+            this.plane === 'ZX' ? ['z', 'x', 'k', 'i'] : ['y', 'z', 'j', 'k'];
+        
+        const du = end[u] - start[u];
+        const dv = end[v] - start[v];
+        const chord = Math.sqrt(du * du + dv * dv);
+        
+        // A full circle has no unique center in radius format
+        if (chord < 1e-6) {
+            this.addDiagnostic(lineNum, 'error', 'ARC_FULL_CIRCLE_R',
+                'R-format arc has identical start and end points (full circles require I/J/K)');
+            return null;
+        }
+        
+        let hSq = 4 * radius * radius - chord * chord;
+        if (hSq < 0) {
+            // Tolerate rounding in posted values, reject genuinely short radii
+            if (Math.abs(radius) * 2 < chord - 0.002) {
+                this.addDiagnostic(lineNum, 'error', 'ARC_RADIUS_TOO_SMALL',
+                    `Arc radius ${Math.abs(radius)} is too small for endpoint distance ${chord.toFixed(4)}`);
+                return null;
+            }
+            hSq = 0;
+        }
+        
+        // Perpendicular distance from chord midpoint to center, scaled by chord length
+        let h = -Math.sqrt(hSq) / chord;
+        if (!clockwise) h = -h;
+        if (radius < 0) h = -h; // Long way around: center on the opposite side
+        
+        const offset = { i: 0, j: 0, k: 0 };
+        offset[ou] = 0.5 * (du - dv * h);
+        offset[ov] = 0.5 * (dv + du * h);
+        return offset;
+    }
+
+    /**
+     * Tessellate arc into line segments no further than arcTolerance from the true arc
+     * Each segment carries the arc center, radius and the angle it sweeps.
+     * @param {number} turns - Full turns for a multi-turn helix (P word), 1 for a plain arc
+     */
+    tessellateArc(start, end, offset, clockwise, turns = 1) {
         // Calculate center point based on plane
         let centerX, centerY, startX, startY, endX, endY;
         
@@ -455,10 +1924,28 @@ class GCodeParser {
             if (arcAngle <= 0) arcAngle += 2 * Math.PI;
         }
         
-        // Adaptive tessellation: more segments for larger arcs
-        const numSegments = Math.max(8, Math.min(64, 
-            Math.floor(Math.sqrt(radius) * Math.abs(arcAngle) * 4)
-        ));
+        // Each extra turn adds a full revolution in the arc direction
+        arcAngle += (clockwise ? -2 : 2) * Math.PI * (turns - 1);
+        
+        // A chord spanning angle θ strays r(1 - cos(θ/2)) from the arc
+        const maxStep = radius > this.arcTolerance ?
+            Math.min(GCodeParser.MAX_ARC_STEP, 2 * Math.acos(1 - this.arcTolerance / radius)) :
+            GCodeParser.MAX_ARC_STEP;
+        const numSegments = Math.min(GCodeParser.MAX_ARC_SEGMENTS,
+            Math.max(1, Math.ceil(Math.abs(arcAngle) / maxStep)));
+        
+        // Center at the start height; along the arc axis the helix moves linearly
+        const center = { ...start };
+        if (this.plane === 'XY') {
+            center.x = centerX;
+            center.y = centerY;
+        } else if (this.plane === 'ZX') {
+            center.z = centerX;
+            center.x = centerY;
+        } else {
+            center.y = centerX;
+            center.z = centerY;
+        }
         
         // Generate segments
         const segments = [];
@@ -484,9 +1971,17 @@ class GCodeParser {
                 point.x = start.x + (end.x - start.x) * t;
             }
             
+            // Rotary axes move linearly along the arc
+            point.a = start.a + (end.a - start.a) * t;
+            point.b = start.b + (end.b - start.b) * t;
+            point.c = start.c + (end.c - start.c) * t;
+            
             segments.push({
                 start: prevPoint,
-                end: point
+                end: point,
+                center,
+                radius,
+                sweep: arcAngle / numSegments
             });
             
             prevPoint = point;
@@ -496,19 +1991,55 @@ class GCodeParser {
     }
 
     /**
-     * Add segment to list
+     * Add segment to list, converting from machine to the output coordinate frame
      */
     addSegment(segment) {
+        segment.operation = this.currentOperation;
+        segment.feedMode = this.feedMode;
+        segment.spindle = this.spindle;
+        segment.spindleSpeed = this.spindle === 'off' ? 0 : this.spindleSpeed;
+        segment.coolant = this.coolantFlood ? (this.coolantMist ? 'both' : 'flood') : (this.coolantMist ? 'mist' : 'off');
+        
+        // A laser burns nothing at zero power, so those moves are only repositioning
+        if (this.laserMode && segment.type === 'cut' && segment.spindleSpeed === 0) {
+            segment.type = 'rapid';
+        }
+        if (this.printing && (segment.type === 'cut' || segment.type === 'rapid')) {
+            this.classifyPrintMove(segment);
+        }
+        segment.layer = this.layer;
+        segment.feature = this.currentFeature;
+        segment.overLimit = this.checkLimits(segment) ? 1 : 0;
+        if (this.pendingDwell > 0) {
+            segment.dwell = this.pendingDwell;
+            this.pendingDwell = 0;
+        }
+        
+        // The work frame is the first fixture's coordinates, so later fixtures (and G92 shifts) stay where
+        // they are on the machine relative to it instead of being drawn on top of each other
+        if (this.referenceWcs === -1) this.referenceWcs = this.activeWcs;
+        if (this.coordinateFrame === 'work') {
+            const offset = this.workOffsets[this.referenceWcs];
+            if (offset.x || offset.y || offset.z) {
+                segment.start = { ...segment.start, x: segment.start.x - offset.x, y: segment.start.y - offset.y, z: segment.start.z - offset.z };
+                segment.end = { ...segment.end, x: segment.end.x - offset.x, y: segment.end.y - offset.y, z: segment.end.z - offset.z };
+                if (segment.center) {
+                    segment.center = { x: segment.center.x - offset.x, y: segment.center.y - offset.y, z: segment.center.z - offset.z };
+                }
+            }
+        }
         this.segments.push(segment);
+        this.updateBounds(segment.end, segment.lineNum);
     }
 
     /**
      * Update bounding box
      */
-    updateBounds(point) {
+    updateBounds(point, lineNum) {
         // Check for invalid coordinates
         if (isNaN(point.x) || isNaN(point.y) || isNaN(point.z)) {
-            console.error('Invalid point in updateBounds:', point);
+            this.addDiagnostic(lineNum, 'error', 'INVALID_COORDINATE',
+                `Invalid coordinate (X${point.x} Y${point.y} Z${point.z})`);
             return;
         }
         
@@ -520,6 +2051,30 @@ class GCodeParser {
         this.bounds.maxZ = Math.max(this.bounds.maxZ, point.z);
     }
 
+    /**
+     * Record a parse problem for the diagnostics panel
+     * @param {number} lineNum - Source line number
+     * @param {string} severity - 'error', 'warning' or 'info'
+     * @param {string} code - Stable identifier, e.g. 'ARC_NO_OFFSET'
+     * @param {string} message - Human-readable description
+     */
+    addDiagnostic(lineNum, severity, code, message) {
+        if (this.profile.silenced.includes(code)) return;
+        if (this.diagnostics.length >= GCodeParser.MAX_DIAGNOSTICS) {
+            this.diagnosticsDropped++;
+            return;
+        }
+        this.diagnostics.push({ lineNum, severity, code, message });
+    }
+
+    /**
+     * Get diagnostics collected during the last parse
+     * @returns {Object} { items, dropped }
+     */
+    getDiagnostics() {
+        return { items: this.diagnostics, dropped: this.diagnosticsDropped };
+    }
+
     /**
      * Get bounds
      */
@@ -534,6 +2089,91 @@ class GCodeParser {
         return this.segments;
     }
 
+    /**
+     * Get units information
+     * @returns {Object} { programUnits, mixed, changes } - geometry is always in mm
+     */
+    getUnitsInfo() {
+        return {
+            programUnits: this.programUnits || this.units,
+            mixed: this.unitChanges.length > 0,
+            changes: this.unitChanges
+        };
+    }
+
+    /**
+     * Get spindle, coolant and dwell summary
+     * @returns {Object} { minSpeed, maxSpeed, offCuts, coolant, dwells, dwellTime }
+     */
+    getSpindleInfo() {
+        let minSpeed = Infinity;
+        let maxSpeed = 0;
+        let offCuts = 0;
+        let coolant = false;
+        
+        const { spindle, spindleSpeed, coolant: coolantColumn } = this.segments.columns;
+        for (let i = 0; i < this.segments.length; i++) {
+            if (this.segments.getType(i) !== 'cut') continue;
+            if (SegmentStore.ENUMS.spindle[spindle[i]] === 'off') {
+                if (!this.printing) offCuts++; // Printers have no spindle
+            } else {
+                minSpeed = Math.min(minSpeed, spindleSpeed[i]);
+                maxSpeed = Math.max(maxSpeed, spindleSpeed[i]);
+            }
+            if (SegmentStore.ENUMS.coolant[coolantColumn[i]] !== 'off') coolant = true;
+        }
+        
+        return {
+            minSpeed: minSpeed === Infinity ? 0 : minSpeed,
+            maxSpeed,
+            offCuts,
+            coolant,
+            dwells: this.dwells,
+            dwellTime: this.dwells.reduce((total, d) => total + d.seconds, 0)
+        };
+    }
+
+    /**
+     * Get job information read from CAM header comments
+     * @returns {Object} { cam, postProcessor, program, material, stock, tools, operations } - lengths in mm
+     */
+    getJobInfo() {
+        return this.jobInfo || this.metadata.finish(this.programUnits);
+    }
+
+    /**
+     * Get the result of the soft limit check
+     * @returns {Object} { checked, violations, excess } - excess is { x, y, z } in mm past the limits
+     */
+    getLimitInfo() {
+        return {
+            checked: !!this.machineLimits,
+            violations: this.limitViolations,
+            excess: this.limitExcess
+        };
+    }
+
+    /**
+     * Get 3D printing information
+     * @returns {Object} { printing, layerCount, features, filamentLength } - features indexed by each segment's feature
+     */
+    getPrintInfo() {
+        return {
+            printing: this.printing,
+            layerCount: this.layerCount,
+            features: this.features,
+            filamentLength: this.filamentLength
+        };
+    }
+
+    /**
+     * Get the operations the program is split into
+     * @returns {Array<Object>} { name, lineNum } indexed by each segment's operation
+     */
+    getOperations() {
+        return this.operations;
+    }
+
     /**
      * Get tool names
      */
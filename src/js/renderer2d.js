@@ -4,18 +4,45 @@
  */
 
 class Renderer2D {
+    // Dash patterns (screen pixels) telling the non-cutting move types apart
+    static MOVE_DASHES = { rapid: [5, 5], probe: [2, 2], home: [8, 3, 2, 3], retract: [1, 2] };
+    
+    // Moves past the machine's soft limits, whatever their type
+    static LIMIT_COLOR = '#ff0000';
+    
+    // Opacity of each pass in kerf mode, so overlapping passes show darker and gaps show through
+    static KERF_ALPHA = 0.35;
+
     constructor(canvas, camera) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.camera = camera;
-        this.segments = [];
+        this.segments = new SegmentStore();
         this.bounds = null;
         this.layerFilter = { min: -Infinity, max: Infinity };
         this.hoveredPoint = null;
         this.maxSegmentIndex = Infinity;
-        this.toolStates = new Map(); // { toolNum: { visible, color } }
-        this.rapidMovesVisible = true; // Show rapid moves by default
-        this.rapidMoveColor = '#999999'; // Default gray color
+        this.toolStates = new Map(); // { toolNum: { visible, color, geometry } } - geometry { shape, diameter, ... } or null
+        this.operationStates = new Map(); // { operation index: { visible, color } }
+        // Non-cutting moves: rapid (G0), probe (G38.x), home (G28/G30) and printer retracts - { visible, color }
+        this.moveTypes = {
+            rapid: { visible: true, color: '#999999' },
+            probe: { visible: true, color: '#00a0b0' },
+            home: { visible: true, color: '#a040c0' },
+            retract: { visible: true, color: '#e04040' }
+        };
+        this.colorMode = 'tool'; // 'tool', 'operation', 'spindle' (spindle speed), 'layer' or 'feature' (3D printing)
+        this.spindleRange = { min: 0, max: 0 }; // RPM range for spindle coloring
+        this.printer = { layerCount: 0, featureColors: [] }; // 3D printing: layers and a hex color per feature type
+        this.laser = { enabled: false, maxPower: 1000 }; // Laser mode shades cuts by S / maxPower
+        this.kerf = false; // Draw cuts as wide as the tool diameter instead of as centerlines
+        this.rotary = { mode: 'off', axis: 'A', diameter: 50 }; // 'wrapped' draws rotary moves unrolled flat
+        this.stock = null; // { minX, minY, minZ, maxX, maxY, maxZ } outline to draw, or null
+        this.markers = []; // Toolpath check findings to mark, each { type, point }
+        this.simulation = null; // StockSimulator whose carved depth to draw, or null
+        this.simulationImage = null; // Offscreen canvas holding the depth image
+        this.kerfCanvas = null; // Offscreen canvas each kerf pass is drawn on opaque before it is blended in
+        this.simulationVersion = -1; // Simulation version the depth image was drawn from
         
         this.resizeCanvas();
     }
@@ -46,11 +73,26 @@ class Renderer2D {
     }
 
     /**
-     * Set rapid move (G0) visibility and color
+     * Set operation visibility and color states
+     */
+    setOperationStates(operationStates) {
+        this.operationStates = operationStates;
+    }
+
+    /**
+     * Check whether the operation a segment belongs to is shown
+     */
+    isOperationVisible(i) {
+        const state = this.operationStates.get(this.segments.columns.operation[i]);
+        return !state || state.visible;
+    }
+
+    /**
+     * Set visibility and color of the non-cutting move types
+     * @param {Object} moveTypes - { rapid, probe, home, retract }, each { visible, color }
      */
-    setRapidMoveSettings(visible, color) {
-        this.rapidMovesVisible = visible;
-        this.rapidMoveColor = color;
+    setMoveTypeSettings(moveTypes) {
+        this.moveTypes = moveTypes;
     }
 
     /**
@@ -60,6 +102,121 @@ class Renderer2D {
         // 2D renderer doesn't need to update buffers
     }
 
+    /**
+     * Set how cutting moves are colored
+     * @param {string} mode - 'tool', 'operation', 'spindle', 'layer' or 'feature'
+     * @param {Object} spindleRange - { min, max } RPM used to scale spindle colors
+     */
+    setColorMode(mode, spindleRange) {
+        this.colorMode = mode;
+        if (spindleRange) this.spindleRange = spindleRange;
+    }
+
+    /**
+     * Set whether cuts are drawn as wide as the tool that makes them
+     * Tools without a known diameter are still drawn as centerlines.
+     */
+    setKerfMode(enabled) {
+        this.kerf = enabled;
+    }
+
+    /**
+     * Set 3D printer data for the 'layer' and 'feature' color modes
+     * @param {Object} printer - { layerCount, featureColors } with a hex color per parser feature index
+     */
+    setPrinterMode(printer) {
+        this.printer = printer;
+    }
+
+    /**
+     * Set laser mode shading
+     * @param {Object} laser - { enabled, maxPower } where maxPower is the S value for full power
+     */
+    setLaserMode(laser) {
+        this.laser = laser;
+    }
+
+    /**
+     * Set the stock box to outline
+     * @param {Object|null} stock - { minX, minY, minZ, maxX, maxY, maxZ } in mm, or null for none
+     */
+    setStock(stock) {
+        this.stock = stock;
+    }
+
+    /**
+     * Set the toolpath check findings to mark
+     * @param {Array<Object>} markers - Findings from ToolpathChecker, each { type, point }
+     */
+    setMarkers(markers) {
+        this.markers = markers;
+    }
+
+    /**
+     * Set the material removal simulation to draw
+     * @param {StockSimulator|null} simulation - Simulator with a carved heightmap, or null to hide it
+     */
+    setSimulation(simulation) {
+        this.simulation = simulation;
+        this.simulationVersion = -1;
+    }
+
+    /**
+     * Set rotary (4th axis) display
+     * In wrapped mode the 2D view shows the stock surface unrolled, the angle becoming
+     * arc length on the stock diameter.
+     * @param {string} mode - 'off' or 'wrapped'
+     * @param {string} axis - 'A' (around X), 'B' (around Y) or 'C' (around Z)
+     * @param {number} diameter - Stock diameter in mm
+     */
+    setRotaryMode(mode, axis, diameter) {
+        this.rotary = { mode, axis, diameter };
+    }
+
+    /**
+     * Map a point plus rotary angle (degrees) to 2D view coordinates
+     * A unrolls along Y, B along X, and C into the Y/Z plane (angle horizontal, Z vertical).
+     * @returns {Object} { x, y }
+     */
+    toView(x, y, z, angle) {
+        if (this.rotary.mode !== 'wrapped') return { x, y };
+        
+        const arc = angle * Math.PI * this.rotary.diameter / 360;
+        switch (this.rotary.axis) {
+            case 'B':
+                return { x: x + arc, y };
+            case 'C':
+                return { x: y + arc, y: z };
+            default:
+                return { x, y: y + arc };
+        }
+    }
+
+    /**
+     * Get the bounds of the toolpath as drawn
+     */
+    getDisplayBounds() {
+        if (this.rotary.mode !== 'wrapped' || !this.bounds || this.segments.length === 0) return this.bounds;
+        
+        const bounds = { ...this.bounds, minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+        const { startX, startY, startZ, endX, endY, endZ } = this.segments.columns;
+        const startAngle = this.segments.columns['start' + this.rotary.axis];
+        const endAngle = this.segments.columns['end' + this.rotary.axis];
+        
+        const include = (p) => {
+            bounds.minX = Math.min(bounds.minX, p.x);
+            bounds.maxX = Math.max(bounds.maxX, p.x);
+            bounds.minY = Math.min(bounds.minY, p.y);
+            bounds.maxY = Math.max(bounds.maxY, p.y);
+        };
+        
+        for (let i = 0; i < this.segments.length; i++) {
+            include(this.toView(startX[i], startY[i], startZ[i], startAngle[i]));
+            include(this.toView(endX[i], endY[i], endZ[i], endAngle[i]));
+        }
+        return bounds;
+    }
+
     /**
      * Set layer filter
      */
@@ -95,7 +252,10 @@ class Renderer2D {
         this.ctx.scale(transform.scale, -transform.scale); // Flip Y axis
         
         this.drawGrid(transform);
+        this.drawStock();
+        this.drawSimulation();
         this.drawSegments();
+        this.drawMarkers();
         this.drawCurrentPositionMarker();
         
         this.ctx.restore();
@@ -196,11 +356,62 @@ class Renderer2D {
         this.ctx.stroke();
     }
 
+    /**
+     * Draw the stock outline as a dashed rectangle
+     */
+    drawStock() {
+        // The unrolled rotary view has no flat stock rectangle
+        if (!this.stock || this.rotary.mode === 'wrapped') return;
+        
+        const zoom = this.camera.zoom2d;
+        this.ctx.save();
+        this.ctx.strokeStyle = getComputedStyle(document.documentElement).getPropertyValue('--stock-color').trim();
+        this.ctx.lineWidth = 1.5 / zoom;
+        this.ctx.setLineDash([8 / zoom, 4 / zoom]);
+        this.ctx.strokeRect(this.stock.minX, this.stock.minY, this.stock.maxX - this.stock.minX, this.stock.maxY - this.stock.minY);
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw the simulated depth over the stock rectangle, light at the top of the stock and dark at its bottom
+     */
+    drawSimulation() {
+        const sim = this.simulation;
+        if (!sim || !sim.heights || this.rotary.mode === 'wrapped') return;
+        
+        if (this.simulationVersion !== sim.version) {
+            if (!this.simulationImage) this.simulationImage = document.createElement('canvas');
+            const image = this.simulationImage;
+            image.width = sim.cols;
+            image.height = sim.rows;
+            
+            const imageCtx = image.getContext('2d');
+            const data = imageCtx.createImageData(sim.cols, sim.rows);
+            const { minZ, maxZ } = sim.stock;
+            for (let k = 0; k < sim.heights.length; k++) {
+                const depth = (maxZ - sim.heights[k]) / (maxZ - minZ);
+                const shade = Math.round(220 - depth * 180);
+                data.data[k * 4] = shade;
+                data.data[k * 4 + 1] = shade;
+                data.data[k * 4 + 2] = shade;
+                data.data[k * 4 + 3] = 255;
+            }
+            imageCtx.putImageData(data, 0, 0);
+            this.simulationVersion = sim.version;
+        }
+        
+        // Image row 0 is minY, which the flipped Y axis puts at the bottom; pixels are centered on grid nodes
+        const half = sim.cellSize / 2;
+        this.ctx.drawImage(this.simulationImage, sim.stock.minX - half, sim.stock.minY - half,
+            sim.cols * sim.cellSize, sim.rows * sim.cellSize);
+    }
+
     /**
      * Draw all segments
      */
     drawSegments() {
         const theme = document.documentElement.getAttribute('data-theme');
+        this.laserColor = getComputedStyle(document.documentElement).getPropertyValue('--laser-color').trim();
         
         // Tool colors - matching 3D renderer
         const toolColors = [
@@ -217,135 +428,394 @@ class Renderer2D {
         const zoom = this.camera.zoom2d;
         const lineWidth = Math.max(0.5, 1.5 / zoom);
         
-        // Group segments by type and tool for batched rendering
-        const rapidSegments = [];
-        const cutSegmentsByTool = {}; // { toolNum: [segments] }
+        // Group segment indices by type and color for batched rendering
+        const moveSegments = {}; // { move type: [segment indices] } for rapid/probe/home moves
+        const cutBatches = {}; // { color (and kerf width): { color, width, indices } }
+        const limitSegments = []; // Moves past the soft limits
         let partialSegment = null;
+        const { startZ, tool: toolColumn, overLimit } = this.segments.columns;
         
         for (let i = 0; i < Math.min(this.segments.length, this.maxSegmentIndex); i++) {
-            const seg = this.segments[i];
-            
             // Apply layer filter
-            if (seg.start.z < this.layerFilter.min || seg.start.z > this.layerFilter.max) {
+            if (startZ[i] < this.layerFilter.min || startZ[i] > this.layerFilter.max) {
                 continue;
             }
             
-            if (seg.type === 'rapid') {
-                // Only add rapid moves if they're visible
-                if (this.rapidMovesVisible) {
-                    rapidSegments.push(seg);
+            // Hidden operations hide their rapids as well as their cuts
+            if (!this.isOperationVisible(i)) {
+                continue;
+            }
+            
+            const type = this.segments.getType(i);
+            if (this.moveTypes[type]) {
+                // Only add non-cutting moves whose type is visible
+                if (this.moveTypes[type].visible) {
+                    if (overLimit[i]) {
+                        limitSegments.push(i);
+                    } else {
+                        if (!moveSegments[type]) moveSegments[type] = [];
+                        moveSegments[type].push(i);
+                    }
                 }
             } else {
-                const tool = seg.tool || 0;
+                const tool = toolColumn[i];
                 
                 // Skip if tool is hidden
                 if (this.toolStates.has(tool) && !this.toolStates.get(tool).visible) {
                     continue;
                 }
                 
-                if (!cutSegmentsByTool[tool]) {
-                    cutSegmentsByTool[tool] = [];
+                if (overLimit[i]) {
+                    limitSegments.push(i);
+                    continue;
+                }
+                
+                const color = this.getCutColor(i, toolColors);
+                const width = this.kerf ? this.getKerfWidth(tool) : 0;
+                const key = width > 0 ? `${color} ${width}` : color;
+                if (!cutBatches[key]) {
+                    cutBatches[key] = { color, width, indices: [] };
                 }
-                cutSegmentsByTool[tool].push(seg);
+                cutBatches[key].indices.push(i);
             }
         }
         
         // Handle partial segment (current segment being animated)
         if (this.maxSegmentIndex < this.segments.length && this.segmentProgress > 0 && this.segmentProgress < 1) {
-            const seg = this.segments[this.maxSegmentIndex];
-            if (seg.type === 'cut' && seg.start.z >= this.layerFilter.min && seg.start.z <= this.layerFilter.max) {
-                const tool = seg.tool || 0;
+            const index = this.maxSegmentIndex;
+            const seg = this.segments.get(index);
+            if (seg.type === 'cut' && seg.start.z >= this.layerFilter.min && seg.start.z <= this.layerFilter.max && this.isOperationVisible(index)) {
+                const tool = seg.tool;
                 if (!this.toolStates.has(tool) || this.toolStates.get(tool).visible) {
-                    partialSegment = { seg, tool };
+                    partialSegment = { seg, index };
                 }
             }
         }
         
-        // Draw rapid moves (if visible)
-        if (this.rapidMovesVisible && rapidSegments.length > 0) {
-            this.ctx.strokeStyle = this.rapidMoveColor;
+        // Draw non-cutting moves, each type with its own color and dash pattern
+        for (const type in moveSegments) {
+            this.ctx.strokeStyle = this.moveTypes[type].color;
             this.ctx.lineWidth = lineWidth * 0.7;
-            this.ctx.setLineDash([5 / zoom, 5 / zoom]);
-            this.drawSegmentBatch(rapidSegments);
+            this.ctx.setLineDash(Renderer2D.MOVE_DASHES[type].map(length => length / zoom));
+            this.drawSegmentBatch(moveSegments[type]);
         }
         
-        // Draw cut moves by tool
+        // Most retracts only move the filament, so mark where they happen
+        if (moveSegments.retract) {
+            this.ctx.fillStyle = this.moveTypes.retract.color;
+            this.drawPointBatch(moveSegments.retract, 2 / zoom);
+        }
+        
+        // Draw cut moves by color
         this.ctx.lineWidth = lineWidth;
         this.ctx.setLineDash([]);
         
-        for (const tool in cutSegmentsByTool) {
-            const toolNum = parseInt(tool);
-            
-            // Use custom color if tool state exists, otherwise use default
-            if (this.toolStates.has(toolNum)) {
-                this.ctx.strokeStyle = this.toolStates.get(toolNum).color;
+        for (const { color, width, indices } of Object.values(cutBatches)) {
+            this.ctx.strokeStyle = color;
+            if (width > 0) {
+                this.drawKerfBatch(indices, width);
             } else {
-                const toolIndex = toolNum % toolColors.length;
-                this.ctx.strokeStyle = toolColors[toolIndex];
+                this.drawSegmentBatch(indices);
             }
-            
-            this.drawSegmentBatch(cutSegmentsByTool[tool]);
+        }
+        
+        // Draw moves past the soft limits on top, solid and wider so they stand out
+        if (limitSegments.length > 0) {
+            this.ctx.strokeStyle = Renderer2D.LIMIT_COLOR;
+            this.ctx.lineWidth = lineWidth * 2;
+            this.drawSegmentBatch(limitSegments);
+            this.ctx.lineWidth = lineWidth;
         }
         
         // Draw partial segment
         if (partialSegment) {
-            const { seg, tool } = partialSegment;
+            const { seg, index } = partialSegment;
             
             // Set color for partial segment
-            if (this.toolStates.has(tool)) {
-                this.ctx.strokeStyle = this.toolStates.get(tool).color;
-            } else {
-                const toolIndex = tool % toolColors.length;
-                this.ctx.strokeStyle = toolColors[toolIndex];
-            }
+            this.ctx.strokeStyle = seg.overLimit ? Renderer2D.LIMIT_COLOR : this.getCutColor(index, toolColors);
             
             // Interpolate end point based on progress
             const endX = seg.start.x + (seg.end.x - seg.start.x) * this.segmentProgress;
             const endY = seg.start.y + (seg.end.y - seg.start.y) * this.segmentProgress;
             const endZ = seg.start.z + (seg.end.z - seg.start.z) * this.segmentProgress;
+            const axis = this.rotary.axis.toLowerCase();
+            const endAngle = seg.start[axis] + (seg.end[axis] - seg.start[axis]) * this.segmentProgress;
+            const from = this.toView(seg.start.x, seg.start.y, seg.start.z, seg.start[axis]);
+            const to = this.toView(endX, endY, endZ, endAngle);
             
+            // In kerf mode the cut so far is as wide as the tool, like the finished cuts
+            const width = this.kerf && !seg.overLimit ? this.getKerfWidth(seg.tool) : 0;
+            this.ctx.save();
+            if (width > 0) {
+                this.ctx.lineWidth = width;
+                this.ctx.lineCap = 'round';
+                this.ctx.globalAlpha = Renderer2D.KERF_ALPHA;
+            }
             this.ctx.beginPath();
-            this.ctx.moveTo(seg.start.x, seg.start.y);
-            this.ctx.lineTo(endX, endY);
+            this.ctx.moveTo(from.x, from.y);
+            this.ctx.lineTo(to.x, to.y);
             this.ctx.stroke();
+            this.ctx.restore();
+        }
+    }
+
+    /**
+     * Get the stroke color for a cutting move in the current color mode
+     * @param {number} i - Segment index
+     */
+    getCutColor(i, toolColors) {
+        const columns = this.segments.columns;
+        
+        if (this.laser.enabled) {
+            // Burn image: opacity follows power, in 1/64 steps so segments still batch by color
+            const power = Math.max(0, Math.min(1, columns.spindleSpeed[i] / this.laser.maxPower));
+            const alpha = Math.min(255, Math.round(power * 64) * 4);
+            return this.laserColor + alpha.toString(16).padStart(2, '0');
+        }
+        
+        if (this.colorMode === 'spindle') {
+            // Cuts with the spindle off are flagged red; otherwise blue (slowest) to yellow (fastest)
+            if (SegmentStore.ENUMS.spindle[columns.spindle[i]] === 'off') return '#ff0000';
+            const range = this.spindleRange.max - this.spindleRange.min;
+            const t = range > 0 ? (columns.spindleSpeed[i] - this.spindleRange.min) / range : 1;
+            return `hsl(${Math.round(240 - t * 180)}, 90%, 50%)`;
+        }
+        
+        if (this.colorMode === 'operation') {
+            const operation = columns.operation[i];
+            if (this.operationStates.has(operation)) {
+                return this.operationStates.get(operation).color;
+            }
+            return toolColors[operation % toolColors.length];
         }
+        
+        if (this.colorMode === 'layer') {
+            // Blue (first layer) to red (last layer)
+            const t = this.printer.layerCount > 1 ? columns.layer[i] / (this.printer.layerCount - 1) : 0;
+            return `hsl(${Math.round(240 - t * 240)}, 90%, 50%)`;
+        }
+        
+        if (this.colorMode === 'feature') {
+            return this.printer.featureColors[columns.feature[i]] || toolColors[columns.feature[i] % toolColors.length];
+        }
+        
+        // Use custom color if tool state exists, otherwise use default
+        const tool = columns.tool[i];
+        if (this.toolStates.has(tool)) {
+            return this.toolStates.get(tool).color;
+        }
+        return toolColors[tool % toolColors.length];
     }
 
     /**
      * Draw batch of segments efficiently
+     * @param {Array<number>} indices - Segment indices
      */
-    drawSegmentBatch(segments) {
-        if (segments.length === 0) return;
+    drawSegmentBatch(indices) {
+        if (indices.length === 0) return;
         
+        const { startX, startY, startZ, endX, endY, endZ } = this.segments.columns;
         this.ctx.beginPath();
         
-        for (const seg of segments) {
-            this.ctx.moveTo(seg.start.x, seg.start.y);
-            this.ctx.lineTo(seg.end.x, seg.end.y);
+        if (this.rotary.mode === 'wrapped') {
+            const startAngle = this.segments.columns['start' + this.rotary.axis];
+            const endAngle = this.segments.columns['end' + this.rotary.axis];
+            for (const i of indices) {
+                const from = this.toView(startX[i], startY[i], startZ[i], startAngle[i]);
+                const to = this.toView(endX[i], endY[i], endZ[i], endAngle[i]);
+                this.ctx.moveTo(from.x, from.y);
+                this.ctx.lineTo(to.x, to.y);
+            }
+        } else {
+            for (const i of indices) {
+                this.ctx.moveTo(startX[i], startY[i]);
+                this.ctx.lineTo(endX[i], endY[i]);
+            }
         }
         
         this.ctx.stroke();
     }
 
+    /**
+     * Draw segments as wide as the cut, one pass per connected run of segments
+     * Each pass is stroked opaque on an offscreen canvas and then blended in, so separate passes add up
+     * where they overlap while a pass never darkens itself at its joints.
+     * @param {Array<number>} indices - Segment indices in program order
+     * @param {number} width - Cut width in world units
+     */
+    drawKerfBatch(indices, width) {
+        if (indices.length === 0) return;
+        
+        const { startX, startY, startZ, endX, endY, endZ } = this.segments.columns;
+        const wrapped = this.rotary.mode === 'wrapped';
+        const startAngle = this.segments.columns['start' + this.rotary.axis];
+        const endAngle = this.segments.columns['end' + this.rotary.axis];
+        
+        if (!this.kerfCanvas) this.kerfCanvas = document.createElement('canvas');
+        const pass = this.kerfCanvas;
+        if (pass.width !== this.canvas.width || pass.height !== this.canvas.height) {
+            pass.width = this.canvas.width;
+            pass.height = this.canvas.height;
+        }
+        const passCtx = pass.getContext('2d');
+        passCtx.setTransform(this.ctx.getTransform());
+        passCtx.strokeStyle = this.ctx.strokeStyle;
+        passCtx.lineWidth = width;
+        passCtx.lineCap = 'round';
+        passCtx.lineJoin = 'round';
+        
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.globalAlpha = Renderer2D.KERF_ALPHA;
+        
+        let previous = -1;
+        let box = null; // View extent of the pass being drawn
+        for (const i of indices) {
+            const from = wrapped ? this.toView(startX[i], startY[i], startZ[i], startAngle[i]) : { x: startX[i], y: startY[i] };
+            const to = wrapped ? this.toView(endX[i], endY[i], endZ[i], endAngle[i]) : { x: endX[i], y: endY[i] };
+            
+            // A run continues while segments follow each other in the program and meet end to start
+            const continues = previous === i - 1 &&
+                endX[previous] === startX[i] && endY[previous] === startY[i] && endZ[previous] === startZ[i];
+            if (!continues) {
+                if (previous >= 0) this.blendKerfPass(passCtx, box, width);
+                passCtx.beginPath();
+                passCtx.moveTo(from.x, from.y);
+                box = { minX: from.x, minY: from.y, maxX: from.x, maxY: from.y };
+            }
+            passCtx.lineTo(to.x, to.y);
+            box.minX = Math.min(box.minX, to.x);
+            box.minY = Math.min(box.minY, to.y);
+            box.maxX = Math.max(box.maxX, to.x);
+            box.maxY = Math.max(box.maxY, to.y);
+            previous = i;
+        }
+        this.blendKerfPass(passCtx, box, width);
+        this.ctx.restore();
+    }
+
+    /**
+     * Stroke the pass built up on the kerf canvas, blend the area it covers onto the view and clear it again
+     * @param {CanvasRenderingContext2D} passCtx - Kerf canvas context holding the pass path
+     * @param {Object} box - { minX, minY, maxX, maxY } extent of the path in view units
+     * @param {number} width - Cut width in view units
+     */
+    blendKerfPass(passCtx, box, width) {
+        passCtx.stroke();
+        
+        // Pixel rectangle covered by the pass; the view transform only scales and translates
+        const t = passCtx.getTransform();
+        const half = width / 2;
+        const xs = [t.a * (box.minX - half) + t.e, t.a * (box.maxX + half) + t.e];
+        const ys = [t.d * (box.minY - half) + t.f, t.d * (box.maxY + half) + t.f];
+        const left = Math.max(0, Math.floor(Math.min(xs[0], xs[1])) - 1);
+        const top = Math.max(0, Math.floor(Math.min(ys[0], ys[1])) - 1);
+        const right = Math.min(this.canvas.width, Math.ceil(Math.max(xs[0], xs[1])) + 1);
+        const bottom = Math.min(this.canvas.height, Math.ceil(Math.max(ys[0], ys[1])) + 1);
+        if (right <= left || bottom <= top) return;
+        
+        this.ctx.drawImage(passCtx.canvas, left, top, right - left, bottom - top, left, top, right - left, bottom - top);
+        
+        passCtx.save();
+        passCtx.setTransform(1, 0, 0, 1, 0, 0);
+        passCtx.clearRect(left, top, right - left, bottom - top);
+        passCtx.restore();
+    }
+
+    /**
+     * Get the cut width of a tool in kerf mode
+     * @returns {number} Tool diameter in mm, or 0 if it isn't known
+     */
+    getKerfWidth(tool) {
+        const toolState = this.toolStates.get(tool);
+        const geometry = toolState ? toolState.geometry : null;
+        return geometry && geometry.diameter > 0 ? geometry.diameter : 0;
+    }
+
+    /**
+     * Draw a dot at the end of each segment
+     * @param {Array<number>} indices - Segment indices
+     * @param {number} radius - Dot radius in world units
+     */
+    drawPointBatch(indices, radius) {
+        const { endX, endY, endZ } = this.segments.columns;
+        const endAngle = this.segments.columns['end' + this.rotary.axis];
+        this.ctx.beginPath();
+        
+        for (const i of indices) {
+            const point = this.rotary.mode === 'wrapped' ? this.toView(endX[i], endY[i], endZ[i], endAngle[i]) : { x: endX[i], y: endY[i] };
+            this.ctx.moveTo(point.x + radius, point.y);
+            this.ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+        }
+        
+        this.ctx.fill();
+    }
+
+    /**
+     * Draw a ring with a cross at each toolpath check finding, in the color of its type
+     */
+    drawMarkers() {
+        if (this.markers.length === 0) return;
+        
+        const zoom = this.camera.zoom2d;
+        const radius = 6 / zoom;
+        const axis = this.rotary.axis.toLowerCase();
+        
+        this.ctx.save();
+        this.ctx.lineWidth = 2 / zoom;
+        this.ctx.setLineDash([]);
+        for (const { type, point } of this.markers) {
+            const pos = this.toView(point.x, point.y, point.z, point[axis]);
+            this.ctx.strokeStyle = ToolpathChecker.FINDING_TYPES[type].color;
+            this.ctx.beginPath();
+            this.ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+            this.ctx.moveTo(pos.x - radius * 0.6, pos.y - radius * 0.6);
+            this.ctx.lineTo(pos.x + radius * 0.6, pos.y + radius * 0.6);
+            this.ctx.moveTo(pos.x - radius * 0.6, pos.y + radius * 0.6);
+            this.ctx.lineTo(pos.x + radius * 0.6, pos.y - radius * 0.6);
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
     /**
      * Draw current position marker
      */
     drawCurrentPositionMarker() {
         if (this.maxSegmentIndex >= this.segments.length || this.maxSegmentIndex === Infinity) return;
         
-        const currentSeg = this.segments[this.maxSegmentIndex];
-        if (!currentSeg) return;
+        const currentSeg = this.segments.get(this.maxSegmentIndex);
         
         // Interpolate position based on segment progress
         const progress = this.segmentProgress;
-        const pos = {
-            x: currentSeg.start.x + (currentSeg.end.x - currentSeg.start.x) * progress,
-            y: currentSeg.start.y + (currentSeg.end.y - currentSeg.start.y) * progress,
-            z: currentSeg.start.z + (currentSeg.end.z - currentSeg.start.z) * progress
-        };
+        const axis = this.rotary.axis.toLowerCase();
+        const pos = this.toView(
+            currentSeg.start.x + (currentSeg.end.x - currentSeg.start.x) * progress,
+            currentSeg.start.y + (currentSeg.end.y - currentSeg.start.y) * progress,
+            currentSeg.start.z + (currentSeg.end.z - currentSeg.start.z) * progress,
+            currentSeg.start[axis] + (currentSeg.end[axis] - currentSeg.start[axis]) * progress
+        );
         const zoom = this.camera.zoom2d;
         const radius = 5 / zoom;
         
+        // Outline the width the tool cuts, when its diameter is known
+        const toolState = this.toolStates.get(currentSeg.tool);
+        const geometry = toolState ? toolState.geometry : null;
+        if (geometry && geometry.diameter > 0) {
+            this.ctx.save();
+            this.ctx.fillStyle = toolState.color;
+            this.ctx.strokeStyle = toolState.color;
+            this.ctx.globalAlpha = 0.3;
+            this.ctx.beginPath();
+            this.ctx.arc(pos.x, pos.y, geometry.diameter / 2, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.globalAlpha = 1;
+            this.ctx.lineWidth = 1.5 / zoom;
+            this.ctx.setLineDash([]);
+            this.ctx.stroke();
+            this.ctx.restore();
+        }
+        
         // Draw circle at current position
         this.ctx.save();
         this.ctx.fillStyle = '#ff0000';
@@ -495,29 +965,35 @@ class Renderer2D {
         let nearest = null;
         let minDist = thresholdWorld;
         
+        const { startX, startY, startZ, endX, endY, endZ, lineNum } = this.segments.columns;
+        const startAngle = this.segments.columns['start' + this.rotary.axis];
+        const endAngle = this.segments.columns['end' + this.rotary.axis];
+        
         for (let i = 0; i < Math.min(this.segments.length, this.maxSegmentIndex); i++) {
-            const seg = this.segments[i];
+            // Compare in view coordinates so unrolled rotary paths can be picked too
+            const start = this.toView(startX[i], startY[i], startZ[i], startAngle[i]);
+            const end = this.toView(endX[i], endY[i], endZ[i], endAngle[i]);
             
             // Check start point
             const distStart = Math.sqrt(
-                Math.pow(seg.start.x - world.x, 2) + 
-                Math.pow(seg.start.y - world.y, 2)
+                Math.pow(start.x - world.x, 2) + 
+                Math.pow(start.y - world.y, 2)
             );
             
             if (distStart < minDist) {
                 minDist = distStart;
-                nearest = { ...seg.start, lineNum: seg.lineNum };
+                nearest = { x: startX[i], y: startY[i], z: startZ[i], lineNum: lineNum[i] };
             }
             
             // Check end point
             const distEnd = Math.sqrt(
-                Math.pow(seg.end.x - world.x, 2) + 
-                Math.pow(seg.end.y - world.y, 2)
+                Math.pow(end.x - world.x, 2) + 
+                Math.pow(end.y - world.y, 2)
             );
             
             if (distEnd < minDist) {
                 minDist = distEnd;
-                nearest = { ...seg.end, lineNum: seg.lineNum };
+                nearest = { x: endX[i], y: endY[i], z: endZ[i], lineNum: lineNum[i] };
             }
         }
         
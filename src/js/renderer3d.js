@@ -4,6 +4,18 @@
  */
 
 class Renderer3D {
+    // Height (mm) of the tick marking a filament-only retract, which has no length to draw
+    static RETRACT_TICK = 0.5;
+    
+    // Moves past the machine's soft limits, whatever their type
+    static LIMIT_COLOR = [1.0, 0.0, 0.0];
+    
+    // Half-length (mm) of the crosses marking toolpath check findings
+    static MARKER_SIZE = 3;
+    
+    // Color of the plain shank drawn above a tool's flutes
+    static SHANK_COLOR = [0.6, 0.6, 0.65];
+
     constructor(canvas, camera, overlayCanvas) {
         this.canvas = canvas;
         this.camera = camera;
@@ -12,13 +24,28 @@ class Renderer3D {
         this.gl = null;
         this.program = null;
         this.buffers = {};
-        this.segments = [];
+        this.segments = new SegmentStore();
         this.bounds = null;
         this.layerFilter = { min: -Infinity, max: Infinity };
         this.maxSegmentIndex = Infinity;
-        this.toolStates = new Map(); // { toolNum: { visible, color } }
-        this.rapidMovesVisible = true; // Show rapid moves by default
-        this.rapidMoveColor = '#999999'; // Default gray color
+        this.toolStates = new Map(); // { toolNum: { visible, color, geometry } } - geometry { shape, diameter, ... } or null
+        this.operationStates = new Map(); // { operation index: { visible, color } }
+        // Non-cutting moves: rapid (G0), probe (G38.x), home (G28/G30) and printer retracts - { visible, color }
+        this.moveTypes = {
+            rapid: { visible: true, color: '#999999' },
+            probe: { visible: true, color: '#00a0b0' },
+            home: { visible: true, color: '#a040c0' },
+            retract: { visible: true, color: '#e04040' }
+        };
+        this.colorMode = 'tool'; // 'tool', 'operation', 'spindle' (spindle speed), 'layer' or 'feature' (3D printing)
+        this.spindleRange = { min: 0, max: 0 }; // RPM range for spindle coloring
+        this.printer = { layerCount: 0, featureColors: [] }; // 3D printing: layers and a hex color per feature type
+        this.laser = { enabled: false, maxPower: 1000 }; // Laser mode shades cuts by S / maxPower
+        this.rotary = { mode: 'off', axis: 'A', diameter: 50 }; // 'wrapped' draws rotary moves around the stock
+        this.stock = null; // { minX, minY, minZ, maxX, maxY, maxZ } outline to draw, or null
+        this.markers = []; // Toolpath check findings to mark, each { type, point }
+        this.simulation = null; // StockSimulator whose carved surface to draw, or null
+        this.simulationMesh = { version: -1, cols: 0, rows: 0, indexCount: 0 }; // What the simulation buffers hold
         
         this.initWebGL();
         this.resizeCanvas();
@@ -154,11 +181,150 @@ class Renderer3D {
     }
 
     /**
-     * Set rapid move (G0) visibility and color
+     * Set operation visibility and color states
+     */
+    setOperationStates(operationStates) {
+        this.operationStates = operationStates;
+    }
+
+    /**
+     * Check whether the operation a segment belongs to is shown
+     */
+    isOperationVisible(i) {
+        const state = this.operationStates.get(this.segments.columns.operation[i]);
+        return !state || state.visible;
+    }
+
+    /**
+     * Set visibility and color of the non-cutting move types
+     * @param {Object} moveTypes - { rapid, probe, home, retract }, each { visible, color }
+     */
+    setMoveTypeSettings(moveTypes) {
+        this.moveTypes = moveTypes;
+    }
+
+    /**
+     * Set how cutting moves are colored
+     * @param {string} mode - 'tool', 'operation' or 'spindle'
+     * @param {Object} spindleRange - { min, max } RPM used to scale spindle colors
      */
-    setRapidMoveSettings(visible, color) {
-        this.rapidMovesVisible = visible;
-        this.rapidMoveColor = color;
+    setColorMode(mode, spindleRange) {
+        this.colorMode = mode;
+        if (spindleRange) this.spindleRange = spindleRange;
+    }
+
+    /**
+     * Set 3D printer data for the 'layer' and 'feature' color modes
+     * @param {Object} printer - { layerCount, featureColors } with a hex color per parser feature index
+     */
+    setPrinterMode(printer) {
+        this.printer = printer;
+    }
+
+    /**
+     * Set laser mode shading
+     * @param {Object} laser - { enabled, maxPower } where maxPower is the S value for full power
+     */
+    setLaserMode(laser) {
+        this.laser = laser;
+    }
+
+    /**
+     * Set the stock box to outline
+     * @param {Object|null} stock - { minX, minY, minZ, maxX, maxY, maxZ } in mm, or null for none
+     */
+    setStock(stock) {
+        this.stock = stock;
+    }
+
+    /**
+     * Set the toolpath check findings to mark
+     * @param {Array<Object>} markers - Findings from ToolpathChecker, each { type, point }
+     */
+    setMarkers(markers) {
+        this.markers = markers;
+    }
+
+    /**
+     * Set the material removal simulation to draw
+     * @param {StockSimulator|null} simulation - Simulator with a carved heightmap, or null to hide it
+     */
+    setSimulation(simulation) {
+        this.simulation = simulation;
+        this.simulationMesh.version = -1;
+    }
+
+    /**
+     * Set rotary (4th axis) display
+     * @param {string} mode - 'off' or 'wrapped'
+     * @param {string} axis - Rotary axis to wrap: 'A' (around X), 'B' (around Y) or 'C' (around Z)
+     * @param {number} diameter - Stock diameter in mm; Z zero is taken as the top of the stock
+     */
+    setRotaryMode(mode, axis, diameter) {
+        this.rotary = { mode, axis, diameter };
+    }
+
+    /**
+     * Get the start/end angle columns for the selected rotary axis
+     */
+    getRotaryColumns() {
+        const columns = this.segments.columns;
+        return [columns['start' + this.rotary.axis], columns['end' + this.rotary.axis]];
+    }
+
+    /**
+     * Number of chords needed to draw a move that turns from angle a0 to a1
+     */
+    getWrapSteps(a0, a1) {
+        return Math.max(1, Math.ceil(Math.abs(a1 - a0) / 5)); // One chord per 5 degrees
+    }
+
+    /**
+     * Map a point plus rotary angle (degrees) onto the wrapped stock
+     * The radial coordinate is measured from the stock surface, and the part is
+     * turned back by the angle so the toolpath lands where it was cut.
+     * @returns {Array<number>} [x, y, z]
+     */
+    wrapPoint(x, y, z, angle) {
+        const theta = angle * Math.PI / 180;
+        const cos = Math.cos(theta);
+        const sin = Math.sin(theta);
+        const radius = this.rotary.diameter / 2;
+        
+        switch (this.rotary.axis) {
+            case 'B': // Around Y: lateral X, radial Z
+                return [x * cos + (radius + z) * sin, y, -x * sin + (radius + z) * cos];
+            case 'C': // Around Z: lateral Y, radial X
+                return [-y * sin + (radius + x) * cos, y * cos + (radius + x) * sin, z];
+            default: // A, around X: lateral Y, radial Z
+                return [x, y * cos + (radius + z) * sin, -y * sin + (radius + z) * cos];
+        }
+    }
+
+    /**
+     * Get the bounds of the toolpath as drawn
+     * When wrapped this is the cylinder swept by the toolpath around the rotary axis.
+     */
+    getDisplayBounds() {
+        if (this.rotary.mode !== 'wrapped' || !this.bounds) return this.bounds;
+        
+        const b = this.bounds;
+        const radius = this.rotary.diameter / 2;
+        const lateral = this.rotary.axis === 'B' ? [b.minX, b.maxX] : [b.minY, b.maxY];
+        const radial = this.rotary.axis === 'C' ? [b.minX, b.maxX] : [b.minZ, b.maxZ];
+        const sweep = Math.hypot(
+            Math.max(Math.abs(lateral[0]), Math.abs(lateral[1])),
+            Math.max(Math.abs(radius + radial[0]), Math.abs(radius + radial[1]))
+        );
+        
+        switch (this.rotary.axis) {
+            case 'B':
+                return { minX: -sweep, maxX: sweep, minY: b.minY, maxY: b.maxY, minZ: -sweep, maxZ: sweep };
+            case 'C':
+                return { minX: -sweep, maxX: sweep, minY: -sweep, maxY: sweep, minZ: b.minZ, maxZ: b.maxZ };
+            default:
+                return { minX: b.minX, maxX: b.maxX, minY: -sweep, maxY: sweep, minZ: -sweep, maxZ: sweep };
+        }
     }
 
     /**
@@ -188,8 +354,15 @@ class Renderer3D {
         const gl = this.gl;
         const theme = document.documentElement.getAttribute('data-theme');
         
-        // Convert custom rapid move color to RGB
-        const rapidColor = this.hexToRgb(this.rapidMoveColor);
+        // Laser cuts fade from the background (no power) to the burn color (full power)
+        this.laserColor = this.hexToRgb(getComputedStyle(document.documentElement).getPropertyValue('--laser-color').trim());
+        this.laserBackground = theme === 'dark' ? [0.15, 0.15, 0.15] : [0.98, 0.98, 0.98]; // Matches clearColor
+        
+        // Convert the non-cutting move colors to RGB
+        const moveColors = {};
+        for (const type in this.moveTypes) {
+            moveColors[type] = this.hexToRgb(this.moveTypes[type].color);
+        }
         
         // Tool colors - each tool gets a distinct color
         const toolColors = [
@@ -203,112 +376,193 @@ class Renderer3D {
             theme === 'dark' ? [0.0, 1.0, 1.0] : [0.0, 0.7, 0.7],   // Tool 7: Cyan
         ];
         
-        const positions = [];
-        const colors = [];
+        // Two vertices per segment (plus one partial segment), written straight into typed arrays
+        const count = Math.min(this.segments.length, this.maxSegmentIndex);
+        const wrapped = this.rotary.mode === 'wrapped';
+        const [startAngle, endAngle] = this.getRotaryColumns();
         
-        for (let i = 0; i < Math.min(this.segments.length, this.maxSegmentIndex); i++) {
-            const seg = this.segments[i];
+        // Wrapped rotary moves are split into chords so they follow the stock surface
+        let lineCount = count + 1;
+        if (wrapped) {
+            for (let i = 0; i < Math.min(count + 1, this.segments.length); i++) {
+                lineCount += this.getWrapSteps(startAngle[i], endAngle[i]) - 1;
+            }
+        }
+        
+        const positions = new Float32Array(lineCount * 6);
+        const colors = new Float32Array(lineCount * 6);
+        let offset = 0;
+        
+        const addVertex = (x, y, z, color) => {
+            positions[offset] = x;
+            positions[offset + 1] = y;
+            positions[offset + 2] = z;
+            colors.set(color, offset);
+            offset += 3;
+        };
+        
+        const addLine = (x0, y0, z0, a0, x1, y1, z1, a1, color) => {
+            if (!wrapped) {
+                addVertex(x0, y0, z0, color);
+                addVertex(x1, y1, z1, color);
+                return;
+            }
             
+            const steps = this.getWrapSteps(a0, a1);
+            let prev = this.wrapPoint(x0, y0, z0, a0);
+            for (let step = 1; step <= steps; step++) {
+                const t = step / steps;
+                const next = this.wrapPoint(x0 + (x1 - x0) * t, y0 + (y1 - y0) * t, z0 + (z1 - z0) * t, a0 + (a1 - a0) * t);
+                addVertex(prev[0], prev[1], prev[2], color);
+                addVertex(next[0], next[1], next[2], color);
+                prev = next;
+            }
+        };
+        
+        const { startX, startY, startZ, endX, endY, endZ, tool, overLimit } = this.segments.columns;
+        
+        for (let i = 0; i < count; i++) {
             // Apply layer filter
-            if (seg.start.z < this.layerFilter.min || seg.start.z > this.layerFilter.max) {
+            if (startZ[i] < this.layerFilter.min || startZ[i] > this.layerFilter.max) {
+                continue;
+            }
+            
+            // Hidden operations hide their rapids as well as their cuts
+            if (!this.isOperationVisible(i)) {
                 continue;
             }
             
-            // Skip rapid moves if not visible
-            if (seg.type === 'rapid' && !this.rapidMovesVisible) {
+            // Skip non-cutting moves whose type is hidden
+            const type = this.segments.getType(i);
+            const moveType = this.moveTypes[type];
+            if (moveType && !moveType.visible) {
                 continue;
             }
             
             // Skip if tool is hidden
-            const toolNum = seg.tool || 0;
-            if (seg.type !== 'rapid' && this.toolStates.has(toolNum)) {
+            const toolNum = tool[i];
+            if (!moveType && this.toolStates.has(toolNum)) {
                 const toolState = this.toolStates.get(toolNum);
                 if (!toolState.visible) {
                     continue;
                 }
             }
             
-            // Choose color based on segment type and tool
-            let color;
-            if (seg.type === 'rapid') {
-                color = rapidColor;
-            } else {
-                // Use custom color if tool state exists, otherwise use default
-                if (this.toolStates.has(toolNum)) {
-                    const hexColor = this.toolStates.get(toolNum).color;
-                    color = this.hexToRgb(hexColor);
-                } else {
-                    const toolIndex = toolNum % toolColors.length;
-                    color = toolColors[toolIndex];
-                }
-            }
+            // Choose color based on soft limits, segment type and color mode
+            const color = overLimit[i] ? Renderer3D.LIMIT_COLOR : moveType ? moveColors[type] : this.getCutColor(i, toolColors);
             
-            // Start vertex
-            positions.push(seg.start.x, seg.start.y, seg.start.z);
-            colors.push(...color);
+            // Most retracts only move the filament, so they are marked with a short upward tick
+            if (type === 'retract' && startX[i] === endX[i] && startY[i] === endY[i] && startZ[i] === endZ[i]) {
+                addLine(endX[i], endY[i], endZ[i], endAngle[i], endX[i], endY[i], endZ[i] + Renderer3D.RETRACT_TICK, endAngle[i], color);
+                continue;
+            }
             
-            // End vertex
-            positions.push(seg.end.x, seg.end.y, seg.end.z);
-            colors.push(...color);
+            addLine(startX[i], startY[i], startZ[i], startAngle[i], endX[i], endY[i], endZ[i], endAngle[i], color);
         }
         
         // Handle partial segment (current segment being animated)
         if (this.maxSegmentIndex < this.segments.length && this.segmentProgress > 0 && this.segmentProgress < 1) {
-            const seg = this.segments[this.maxSegmentIndex];
+            const index = this.maxSegmentIndex;
+            const seg = this.segments.get(index);
             
             // Check if segment should be rendered
-            if (seg.start.z >= this.layerFilter.min && seg.start.z <= this.layerFilter.max) {
-                // Skip rapid moves if not visible
-                if (seg.type !== 'rapid' || this.rapidMovesVisible) {
-                    const toolNum = seg.tool || 0;
+            if (seg.start.z >= this.layerFilter.min && seg.start.z <= this.layerFilter.max && this.isOperationVisible(index)) {
+                // Skip non-cutting moves whose type is hidden
+                const moveType = this.moveTypes[seg.type];
+                if (!moveType || moveType.visible) {
+                    const toolNum = seg.tool;
                     let shouldRender = true;
                     
                     // Skip if tool is hidden
-                    if (seg.type !== 'rapid' && this.toolStates.has(toolNum)) {
+                    if (!moveType && this.toolStates.has(toolNum)) {
                         shouldRender = this.toolStates.get(toolNum).visible;
                     }
                     
                     if (shouldRender) {
                         // Choose color
-                        let color;
-                        if (seg.type === 'rapid') {
-                            color = rapidColor;
-                        } else {
-                            if (this.toolStates.has(toolNum)) {
-                                const hexColor = this.toolStates.get(toolNum).color;
-                                color = this.hexToRgb(hexColor);
-                            } else {
-                                const toolIndex = toolNum % toolColors.length;
-                                color = toolColors[toolIndex];
-                            }
-                        }
+                        const color = seg.overLimit ? Renderer3D.LIMIT_COLOR :
+                            moveType ? moveColors[seg.type] : this.getCutColor(index, toolColors);
                         
                         // Interpolate end point based on progress
-                        const endX = seg.start.x + (seg.end.x - seg.start.x) * this.segmentProgress;
-                        const endY = seg.start.y + (seg.end.y - seg.start.y) * this.segmentProgress;
-                        const endZ = seg.start.z + (seg.end.z - seg.start.z) * this.segmentProgress;
-                        
-                        // Start vertex
-                        positions.push(seg.start.x, seg.start.y, seg.start.z);
-                        colors.push(...color);
+                        const partialX = seg.start.x + (seg.end.x - seg.start.x) * this.segmentProgress;
+                        const partialY = seg.start.y + (seg.end.y - seg.start.y) * this.segmentProgress;
+                        const partialZ = seg.start.z + (seg.end.z - seg.start.z) * this.segmentProgress;
+                        const partialAngle = startAngle[index] + (endAngle[index] - startAngle[index]) * this.segmentProgress;
                         
-                        // Partial end vertex
-                        positions.push(endX, endY, endZ);
-                        colors.push(...color);
+                        addLine(seg.start.x, seg.start.y, seg.start.z, startAngle[index], partialX, partialY, partialZ, partialAngle, color);
                     }
                 }
             }
         }
         
-        this.vertexCount = positions.length / 3;
+        this.vertexCount = offset / 3;
         
         // Update position buffer
         gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.position);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.STATIC_DRAW);
+        gl.bufferData(gl.ARRAY_BUFFER, positions.subarray(0, offset), gl.STATIC_DRAW);
         
         // Update color buffer
         gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.color);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(colors), gl.STATIC_DRAW);
+        gl.bufferData(gl.ARRAY_BUFFER, colors.subarray(0, offset), gl.STATIC_DRAW);
+    }
+
+    /**
+     * Get the RGB color for a cutting move in the current color mode
+     * @param {number} i - Segment index
+     */
+    getCutColor(i, toolColors) {
+        const columns = this.segments.columns;
+        
+        if (this.laser.enabled) {
+            const power = Math.max(0, Math.min(1, columns.spindleSpeed[i] / this.laser.maxPower));
+            return this.laserColor.map((burn, c) => this.laserBackground[c] + (burn - this.laserBackground[c]) * power);
+        }
+        
+        if (this.colorMode === 'spindle') {
+            // Cuts with the spindle off are flagged red; otherwise blue (slowest) to yellow (fastest)
+            if (SegmentStore.ENUMS.spindle[columns.spindle[i]] === 'off') return [1.0, 0.0, 0.0];
+            const range = this.spindleRange.max - this.spindleRange.min;
+            const t = range > 0 ? (columns.spindleSpeed[i] - this.spindleRange.min) / range : 1;
+            return this.hslToRgb(240 - t * 180, 0.9, 0.5);
+        }
+        
+        if (this.colorMode === 'operation') {
+            const operation = columns.operation[i];
+            if (this.operationStates.has(operation)) {
+                return this.hexToRgb(this.operationStates.get(operation).color);
+            }
+            return toolColors[operation % toolColors.length];
+        }
+        
+        if (this.colorMode === 'layer') {
+            // Blue (first layer) to red (last layer)
+            const t = this.printer.layerCount > 1 ? columns.layer[i] / (this.printer.layerCount - 1) : 0;
+            return this.hslToRgb(240 - t * 240, 0.9, 0.5);
+        }
+        
+        if (this.colorMode === 'feature') {
+            const color = this.printer.featureColors[columns.feature[i]];
+            return color ? this.hexToRgb(color) : toolColors[columns.feature[i] % toolColors.length];
+        }
+        
+        // Use custom color if tool state exists, otherwise use default
+        const toolNum = columns.tool[i];
+        if (this.toolStates.has(toolNum)) {
+            return this.hexToRgb(this.toolStates.get(toolNum).color);
+        }
+        return toolColors[toolNum % toolColors.length];
+    }
+
+    /**
+     * Convert HSL (hue in degrees, saturation/lightness 0-1) to RGB array
+     */
+    hslToRgb(h, s, l) {
+        const a = s * Math.min(l, 1 - l);
+        const f = (n) => {
+            const k = (n + h / 30) % 12;
+            return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        };
+        return [f(0), f(8), f(4)];
     }
 
     /**
@@ -376,6 +630,9 @@ class Renderer3D {
         
         // Draw coordinate axes
         this.drawAxes(mvp);
+        this.drawStock(mvp);
+        this.drawSimulation(mvp);
+        this.drawMarkers(mvp);
         
         // Draw current position marker
         this.drawCurrentPositionMarker(mvp);
@@ -513,15 +770,187 @@ class Renderer3D {
     }
 
     /**
-     * Draw current position marker as a sphere
+     * Draw the stock outline as a wireframe box
+     */
+    drawStock(mvp) {
+        // A rectangular box means nothing around a wrapped rotary job
+        if (!this.stock || this.rotary.mode === 'wrapped') return;
+        
+        const gl = this.gl;
+        const { minX, minY, minZ, maxX, maxY, maxZ } = this.stock;
+        const corners = [
+            [minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY]
+        ];
+        
+        // Bottom and top rectangles plus the four vertical edges
+        const positions = [];
+        for (let i = 0; i < 4; i++) {
+            const [x0, y0] = corners[i];
+            const [x1, y1] = corners[(i + 1) % 4];
+            positions.push(x0, y0, minZ, x1, y1, minZ);
+            positions.push(x0, y0, maxZ, x1, y1, maxZ);
+            positions.push(x0, y0, minZ, x0, y0, maxZ);
+        }
+        const color = this.hexToRgb(getComputedStyle(document.documentElement).getPropertyValue('--stock-color').trim());
+        const colors = [];
+        for (let i = 0; i < positions.length / 3; i++) colors.push(...color);
+        
+        // Create temporary buffers for the outline
+        const posBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, posBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.STATIC_DRAW);
+        gl.vertexAttribPointer(this.locations.aPosition, 3, gl.FLOAT, false, 0, 0);
+        
+        const colBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, colBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(colors), gl.STATIC_DRAW);
+        gl.vertexAttribPointer(this.locations.aColor, 3, gl.FLOAT, false, 0, 0);
+        
+        gl.drawArrays(gl.LINES, 0, positions.length / 3);
+        
+        gl.deleteBuffer(posBuffer);
+        gl.deleteBuffer(colBuffer);
+    }
+
+    /**
+     * Draw the carved stock surface from the simulation heightmap, shaded by its slope
+     */
+    drawSimulation(mvp) {
+        const sim = this.simulation;
+        if (!sim || !sim.heights || this.rotary.mode === 'wrapped') return;
+        
+        const gl = this.gl;
+        const mesh = this.simulationMesh;
+        if (!this.buffers.simPosition) {
+            this.buffers.simPosition = gl.createBuffer();
+            this.buffers.simColor = gl.createBuffer();
+            this.buffers.simIndex = gl.createBuffer();
+        }
+        
+        // Two triangles per grid cell; the index buffer only changes with the grid size
+        if (mesh.cols !== sim.cols || mesh.rows !== sim.rows) {
+            const indices = new Uint16Array((sim.cols - 1) * (sim.rows - 1) * 6);
+            let k = 0;
+            for (let j = 0; j < sim.rows - 1; j++) {
+                for (let i = 0; i < sim.cols - 1; i++) {
+                    const a = j * sim.cols + i;
+                    const b = a + sim.cols;
+                    indices[k++] = a; indices[k++] = a + 1; indices[k++] = b;
+                    indices[k++] = b; indices[k++] = a + 1; indices[k++] = b + 1;
+                }
+            }
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.buffers.simIndex);
+            gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+            mesh.cols = sim.cols;
+            mesh.rows = sim.rows;
+            mesh.indexCount = indices.length;
+            mesh.version = -1;
+        }
+        
+        if (mesh.version !== sim.version) {
+            this.updateSimulationBuffers();
+            mesh.version = sim.version;
+        }
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.simPosition);
+        gl.vertexAttribPointer(this.locations.aPosition, 3, gl.FLOAT, false, 0, 0);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.simColor);
+        gl.vertexAttribPointer(this.locations.aColor, 3, gl.FLOAT, false, 0, 0);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.buffers.simIndex);
+        gl.drawElements(gl.TRIANGLES, mesh.indexCount, gl.UNSIGNED_SHORT, 0);
+    }
+
+    /**
+     * Fill the simulation position and color buffers from the heightmap
+     * The main shader has no lighting, so each node is shaded here from its normal.
+     */
+    updateSimulationBuffers() {
+        const gl = this.gl;
+        const sim = this.simulation;
+        const { cols, rows, cellSize } = sim;
+        const positions = new Float32Array(cols * rows * 3);
+        const colors = new Float32Array(cols * rows * 3);
+        const stockColor = this.hexToRgb(getComputedStyle(document.documentElement).getPropertyValue('--stock-color').trim());
+        
+        // Same light direction as the position marker
+        const light = [0.5, 0.3, 1.0];
+        const lightLength = Math.hypot(light[0], light[1], light[2]);
+        
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                const k = (j * cols + i) * 3;
+                const h = sim.getHeight(i, j);
+                positions[k] = sim.stock.minX + i * cellSize;
+                positions[k + 1] = sim.stock.minY + j * cellSize;
+                positions[k + 2] = h;
+                
+                // Normal from the slope between neighbouring nodes
+                const dx = (sim.getHeight(Math.min(i + 1, cols - 1), j) - sim.getHeight(Math.max(i - 1, 0), j)) / (2 * cellSize);
+                const dy = (sim.getHeight(i, Math.min(j + 1, rows - 1)) - sim.getHeight(i, Math.max(j - 1, 0))) / (2 * cellSize);
+                const diffuse = Math.max(0, (-dx * light[0] - dy * light[1] + light[2]) / (Math.hypot(dx, dy, 1) * lightLength));
+                const lighting = 0.3 + diffuse * 0.7;
+                colors[k] = stockColor[0] * lighting;
+                colors[k + 1] = stockColor[1] * lighting;
+                colors[k + 2] = stockColor[2] * lighting;
+            }
+        }
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.simPosition);
+        gl.bufferData(gl.ARRAY_BUFFER, positions, gl.DYNAMIC_DRAW);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.simColor);
+        gl.bufferData(gl.ARRAY_BUFFER, colors, gl.DYNAMIC_DRAW);
+    }
+
+    /**
+     * Draw a three-axis cross at each toolpath check finding, in the color of its type
+     */
+    drawMarkers(mvp) {
+        if (this.markers.length === 0) return;
+        
+        const gl = this.gl;
+        const size = Renderer3D.MARKER_SIZE;
+        const axis = this.rotary.axis.toLowerCase();
+        const positions = [];
+        const colors = [];
+        
+        for (const { type, point } of this.markers) {
+            let [x, y, z] = [point.x, point.y, point.z];
+            if (this.rotary.mode === 'wrapped') {
+                [x, y, z] = this.wrapPoint(x, y, z, point[axis]);
+            }
+            positions.push(x - size, y, z, x + size, y, z);
+            positions.push(x, y - size, z, x, y + size, z);
+            positions.push(x, y, z - size, x, y, z + size);
+            
+            const color = this.hexToRgb(ToolpathChecker.FINDING_TYPES[type].color);
+            for (let i = 0; i < 6; i++) colors.push(...color);
+        }
+        
+        // Create temporary buffers for the crosses
+        const posBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, posBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.STATIC_DRAW);
+        gl.vertexAttribPointer(this.locations.aPosition, 3, gl.FLOAT, false, 0, 0);
+        
+        const colBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, colBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(colors), gl.STATIC_DRAW);
+        gl.vertexAttribPointer(this.locations.aColor, 3, gl.FLOAT, false, 0, 0);
+        
+        gl.drawArrays(gl.LINES, 0, positions.length / 3);
+        
+        gl.deleteBuffer(posBuffer);
+        gl.deleteBuffer(colBuffer);
+    }
+
+    /**
+     * Draw current position marker: the tool body when its geometry is known, otherwise a sphere
      */
     drawCurrentPositionMarker(mvp) {
         if (this.maxSegmentIndex >= this.segments.length || this.maxSegmentIndex === Infinity) return;
         
-        const currentSeg = this.segments[this.maxSegmentIndex];
-        if (!currentSeg) return;
+        const currentSeg = this.segments.get(this.maxSegmentIndex);
         
-        const gl = this.gl;
         // Interpolate position based on segment progress
         const progress = this.segmentProgress;
         const center = {
@@ -529,6 +958,22 @@ class Renderer3D {
             y: currentSeg.start.y + (currentSeg.end.y - currentSeg.start.y) * progress,
             z: currentSeg.start.z + (currentSeg.end.z - currentSeg.start.z) * progress
         };
+        
+        // The tool points along -Z, which a wrapped rotary view doesn't keep
+        const toolState = this.toolStates.get(currentSeg.tool);
+        const geometry = toolState ? toolState.geometry : null;
+        if (geometry && geometry.diameter > 0 && this.rotary.mode !== 'wrapped') {
+            const profile = this.getToolProfile(geometry);
+            this.drawSolid(mvp, this.buildRevolvedMesh(center, profile.flutes), this.hexToRgb(toolState.color));
+            this.drawSolid(mvp, this.buildRevolvedMesh(center, profile.shank), Renderer3D.SHANK_COLOR);
+            return;
+        }
+        
+        if (this.rotary.mode === 'wrapped') {
+            const axis = this.rotary.axis.toLowerCase();
+            const angle = currentSeg.start[axis] + (currentSeg.end[axis] - currentSeg.start[axis]) * progress;
+            [center.x, center.y, center.z] = this.wrapPoint(center.x, center.y, center.z, angle);
+        }
         const radius = 1.5; // Size of the sphere
         
         // Generate sphere geometry with normals for lighting
@@ -573,8 +1018,89 @@ class Renderer3D {
             }
         }
         
-        // Create and use sphere shader if not already created
-        if (!this.sphereProgram) {
+        this.drawSolid(mvp, { positions, normals, indices }, [1.0, 0.0, 0.0]);
+    }
+
+    /**
+     * Get the side profile of a tool as (radius, height above the tip) points from the tip up
+     * @param {Object} geometry - { shape, diameter, angle, fluteLength } in mm and degrees
+     * @returns {Object} { flutes, shank } - the cutting part and the plain shank above it
+     */
+    getToolProfile(geometry) {
+        const r = geometry.diameter / 2;
+        const flutes = [[0, 0]];
+        
+        if (geometry.shape === 'ball') {
+            for (let i = 1; i <= 8; i++) {
+                const angle = (i / 8) * Math.PI / 2;
+                flutes.push([r * Math.sin(angle), r - r * Math.cos(angle)]);
+            }
+        } else if ((geometry.shape === 'vbit' || geometry.shape === 'drill') && geometry.angle > 0) {
+            flutes.push([r, r / Math.tan(geometry.angle * Math.PI / 360)]);
+        } else {
+            flutes.push([r, 0]);
+        }
+        
+        // The flutes reach at least past the tip shape; a laser is drawn as a short beam
+        const tipHeight = flutes[flutes.length - 1][1];
+        const fluteLength = geometry.shape === 'laser' ? 2 * r : Math.max(geometry.fluteLength || 0, tipHeight, r);
+        flutes.push([r, fluteLength], [0, fluteLength]);
+        
+        const shankLength = Math.max(2 * geometry.diameter, 10);
+        const shank = [[0, fluteLength], [r, fluteLength], [r, fluteLength + shankLength], [0, fluteLength + shankLength]];
+        return { flutes, shank };
+    }
+
+    /**
+     * Build a mesh by sweeping a profile around the Z axis through a point
+     * Each profile edge gets its own ring of vertices so edges between faces stay sharp.
+     * @param {Object} center - { x, y, z } the profile's (0, 0) is placed at
+     * @param {Array<Array<number>>} profile - (radius, height) points
+     * @returns {Object} { positions, normals, indices }
+     */
+    buildRevolvedMesh(center, profile) {
+        const sides = 24;
+        const positions = [];
+        const normals = [];
+        const indices = [];
+        
+        for (let k = 0; k < profile.length - 1; k++) {
+            const [r0, z0] = profile[k];
+            const [r1, z1] = profile[k + 1];
+            
+            // Outward normal of the edge in the (radius, height) plane
+            const length = Math.hypot(r1 - r0, z1 - z0) || 1;
+            const nr = (z1 - z0) / length;
+            const nz = -(r1 - r0) / length;
+            
+            const base = positions.length / 3;
+            for (let s = 0; s <= sides; s++) {
+                const phi = (s / sides) * Math.PI * 2;
+                const cos = Math.cos(phi);
+                const sin = Math.sin(phi);
+                positions.push(center.x + r0 * cos, center.y + r0 * sin, center.z + z0);
+                positions.push(center.x + r1 * cos, center.y + r1 * sin, center.z + z1);
+                normals.push(nr * cos, nr * sin, nz, nr * cos, nr * sin, nz);
+            }
+            for (let s = 0; s < sides; s++) {
+                const a = base + s * 2;
+                indices.push(a, a + 1, a + 2);
+                indices.push(a + 1, a + 3, a + 2);
+            }
+        }
+        return { positions, normals, indices };
+    }
+
+    /**
+     * Draw a lit triangle mesh in one color
+     * @param {Object} mesh - { positions, normals, indices }
+     * @param {Array<number>} color - [r, g, b] in 0-1
+     */
+    drawSolid(mvp, mesh, color) {
+        const gl = this.gl;
+        
+        // Create and use the lit shader if not already created
+        if (!this.solidProgram) {
             const vertexShaderSource = `
                 attribute vec3 aPosition;
                 attribute vec3 aNormal;
@@ -589,15 +1115,16 @@ class Renderer3D {
             
             const fragmentShaderSource = `
                 precision mediump float;
+                uniform vec3 uColor;
                 varying vec3 vNormal;
                 
                 void main() {
                     vec3 lightDir = normalize(vec3(0.5, 0.3, 1.0));
-                    float diffuse = max(dot(vNormal, lightDir), 0.0);
+                    float diffuse = max(dot(normalize(vNormal), lightDir), 0.0);
                     float ambient = 0.3;
                     float lighting = ambient + diffuse * 0.7;
                     
-                    vec3 color = vec3(1.0, 0.0, 0.0) * lighting;
+                    vec3 color = uColor * lighting;
                     gl_FragColor = vec4(color, 1.0);
                 }
             `;
@@ -605,43 +1132,47 @@ class Renderer3D {
             const vertexShader = this.compileShader(gl.VERTEX_SHADER, vertexShaderSource);
             const fragmentShader = this.compileShader(gl.FRAGMENT_SHADER, fragmentShaderSource);
             
-            this.sphereProgram = gl.createProgram();
-            gl.attachShader(this.sphereProgram, vertexShader);
-            gl.attachShader(this.sphereProgram, fragmentShader);
-            gl.linkProgram(this.sphereProgram);
+            this.solidProgram = gl.createProgram();
+            gl.attachShader(this.solidProgram, vertexShader);
+            gl.attachShader(this.solidProgram, fragmentShader);
+            gl.linkProgram(this.solidProgram);
             
-            this.sphereLocations = {
-                aPosition: gl.getAttribLocation(this.sphereProgram, 'aPosition'),
-                aNormal: gl.getAttribLocation(this.sphereProgram, 'aNormal'),
-                uMVP: gl.getUniformLocation(this.sphereProgram, 'uMVP')
+            this.solidLocations = {
+                aPosition: gl.getAttribLocation(this.solidProgram, 'aPosition'),
+                aNormal: gl.getAttribLocation(this.solidProgram, 'aNormal'),
+                uMVP: gl.getUniformLocation(this.solidProgram, 'uMVP'),
+                uColor: gl.getUniformLocation(this.solidProgram, 'uColor')
             };
         }
         
-        gl.useProgram(this.sphereProgram);
-        gl.uniformMatrix4fv(this.sphereLocations.uMVP, false, mvp);
+        gl.useProgram(this.solidProgram);
+        gl.uniformMatrix4fv(this.solidLocations.uMVP, false, mvp);
+        gl.uniform3fv(this.solidLocations.uColor, color);
         
         const posBuffer = gl.createBuffer();
         gl.bindBuffer(gl.ARRAY_BUFFER, posBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.STATIC_DRAW);
-        gl.vertexAttribPointer(this.sphereLocations.aPosition, 3, gl.FLOAT, false, 0, 0);
-        gl.enableVertexAttribArray(this.sphereLocations.aPosition);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(mesh.positions), gl.STATIC_DRAW);
+        gl.vertexAttribPointer(this.solidLocations.aPosition, 3, gl.FLOAT, false, 0, 0);
+        gl.enableVertexAttribArray(this.solidLocations.aPosition);
         
         const normalBuffer = gl.createBuffer();
         gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(normals), gl.STATIC_DRAW);
-        gl.vertexAttribPointer(this.sphereLocations.aNormal, 3, gl.FLOAT, false, 0, 0);
-        gl.enableVertexAttribArray(this.sphereLocations.aNormal);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(mesh.normals), gl.STATIC_DRAW);
+        gl.vertexAttribPointer(this.solidLocations.aNormal, 3, gl.FLOAT, false, 0, 0);
+        gl.enableVertexAttribArray(this.solidLocations.aNormal);
         
         const indexBuffer = gl.createBuffer();
         gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
-        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices), gl.STATIC_DRAW);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(mesh.indices), gl.STATIC_DRAW);
         
-        // Draw sphere
-        gl.drawElements(gl.TRIANGLES, indices.length, gl.UNSIGNED_SHORT, 0);
+        gl.drawElements(gl.TRIANGLES, mesh.indices.length, gl.UNSIGNED_SHORT, 0);
         
         gl.deleteBuffer(posBuffer);
         gl.deleteBuffer(normalBuffer);
         gl.deleteBuffer(indexBuffer);
+        
+        // Back to the line shader for whatever is drawn next
+        gl.useProgram(this.program);
     }
 
     /**
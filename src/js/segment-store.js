@@ -0,0 +1,207 @@
+/**
+ * Segment Store
+ * Columnar typed-array storage for parsed toolpath segments
+ */
+
+class SegmentStore {
+    // Numeric columns; geometry and rates are mm / mm/min like the parser output
+    static COLUMNS = {
+        startX: Float32Array,
+        startY: Float32Array,
+        startZ: Float32Array,
+        endX: Float32Array,
+        endY: Float32Array,
+        endZ: Float32Array,
+        // Rotary axes in degrees
+        startA: Float32Array,
+        startB: Float32Array,
+        startC: Float32Array,
+        endA: Float32Array,
+        endB: Float32Array,
+        endC: Float32Array,
+        // Arc the segment was tessellated from (radius 0 for straight moves)
+        centerX: Float32Array,
+        centerY: Float32Array,
+        centerZ: Float32Array,
+        radius: Float32Array,
+        sweep: Float32Array, // Signed angle in radians this piece turns around the center, CCW positive
+        feedRate: Float32Array,
+        spindleSpeed: Float32Array,
+        dwell: Float32Array,
+        tool: Uint32Array,
+        operation: Uint16Array, // Index into the parser's operation list
+        lineNum: Uint32Array,
+        type: Uint8Array,
+        toolChangeType: Uint8Array,
+        spindle: Uint8Array,
+        coolant: Uint8Array,
+        feedMode: Uint8Array,
+        // 3D printing: filament pushed (negative = retracted) in mm, layer number and index into the parser's features
+        extrusion: Float32Array,
+        layer: Uint32Array,
+        feature: Uint16Array,
+        overLimit: Uint8Array // 1 if the move goes past the machine's soft limits
+    };
+
+    // String-valued fields stored as an index into these lists
+    static ENUMS = {
+        // probe = G38.x, home = G28/G30 reference moves, retract = 3D printer filament retract/prime
+        type: ['rapid', 'cut', 'probe', 'home', 'retract'],
+        toolChangeType: [null, 'M0', 'M6'],
+        spindle: ['off', 'cw', 'ccw'],
+        coolant: ['off', 'mist', 'flood', 'both'],
+        // feedRate is mm/min (G94), moves per minute (G93 inverse time) or mm per spindle revolution (G95)
+        feedMode: ['perMinute', 'inverseTime', 'perRevolution']
+    };
+
+    constructor(capacity = 1024) {
+        this.length = 0;
+        this.capacity = capacity;
+        this.columns = {};
+        for (const [name, ArrayType] of Object.entries(SegmentStore.COLUMNS)) {
+            this.columns[name] = new ArrayType(capacity);
+        }
+    }
+
+    /**
+     * Grow every column so at least `needed` segments fit
+     */
+    reserve(needed) {
+        if (needed <= this.capacity) return;
+
+        let capacity = Math.max(1, this.capacity);
+        while (capacity < needed) capacity *= 2;
+
+        for (const name in this.columns) {
+            const grown = new SegmentStore.COLUMNS[name](capacity);
+            grown.set(this.columns[name].subarray(0, this.length));
+            this.columns[name] = grown;
+        }
+        this.capacity = capacity;
+    }
+
+    /**
+     * Append a segment given in object form ({ type, start, end, feedRate, ... })
+     */
+    push(segment) {
+        this.reserve(this.length + 1);
+
+        const i = this.length++;
+        const c = this.columns;
+        c.startX[i] = segment.start.x;
+        c.startY[i] = segment.start.y;
+        c.startZ[i] = segment.start.z;
+        c.endX[i] = segment.end.x;
+        c.endY[i] = segment.end.y;
+        c.endZ[i] = segment.end.z;
+        c.startA[i] = segment.start.a || 0;
+        c.startB[i] = segment.start.b || 0;
+        c.startC[i] = segment.start.c || 0;
+        c.endA[i] = segment.end.a || 0;
+        c.endB[i] = segment.end.b || 0;
+        c.endC[i] = segment.end.c || 0;
+        if (segment.center) {
+            c.centerX[i] = segment.center.x;
+            c.centerY[i] = segment.center.y;
+            c.centerZ[i] = segment.center.z;
+        }
+
+        for (const name in c) {
+            if (name.startsWith('start') || name.startsWith('end') || name.startsWith('center')) continue;
+            const values = SegmentStore.ENUMS[name];
+            c[name][i] = values ? Math.max(0, values.indexOf(segment[name])) : (segment[name] || 0);
+        }
+        return this.length;
+    }
+
+    /**
+     * Get a segment in object form
+     * Allocates a new object; hot loops should read `columns` directly.
+     */
+    get(i) {
+        const c = this.columns;
+        const segment = {
+            start: { x: c.startX[i], y: c.startY[i], z: c.startZ[i], a: c.startA[i], b: c.startB[i], c: c.startC[i] },
+            end: { x: c.endX[i], y: c.endY[i], z: c.endZ[i], a: c.endA[i], b: c.endB[i], c: c.endC[i] },
+            center: c.radius[i] > 0 ? { x: c.centerX[i], y: c.centerY[i], z: c.centerZ[i] } : null
+        };
+
+        for (const name in c) {
+            if (name.startsWith('start') || name.startsWith('end') || name.startsWith('center')) continue;
+            const values = SegmentStore.ENUMS[name];
+            segment[name] = values ? values[c[name][i]] : c[name][i];
+        }
+        return segment;
+    }
+
+    /**
+     * Get the path length of a segment in mm without allocating
+     */
+    getLength(i) {
+        const c = this.columns;
+        return SegmentStore.pathLength(c.endX[i] - c.startX[i], c.endY[i] - c.startY[i], c.endZ[i] - c.startZ[i],
+            c.radius[i], c.sweep[i]);
+    }
+
+    /**
+     * Path length of a move; arc pieces are measured along the arc rather than the chord
+     * @param {number} dx - End minus start, likewise dy and dz
+     * @param {number} radius - Arc radius, 0 for straight moves
+     * @param {number} sweep - Angle turned around the arc center in radians
+     */
+    static pathLength(dx, dy, dz, radius, sweep) {
+        const chordSq = dx * dx + dy * dy + dz * dz;
+        if (!radius) return Math.sqrt(chordSq);
+        
+        // Whatever the chord has beyond its in-plane part is helical travel along the arc axis
+        const inPlane = 2 * radius * Math.sin(Math.abs(sweep) / 2);
+        const arc = radius * Math.abs(sweep);
+        return Math.sqrt(Math.max(0, chordSq - inPlane * inPlane) + arc * arc);
+    }
+
+    /**
+     * Get the type ('rapid', 'cut', ...) of a segment without allocating
+     */
+    getType(i) {
+        return SegmentStore.ENUMS.type[this.columns.type[i]];
+    }
+
+    /**
+     * Find the first segment index matching a predicate on the object form
+     */
+    findIndex(predicate) {
+        for (let i = 0; i < this.length; i++) {
+            if (predicate(this.get(i), i)) return i;
+        }
+        return -1;
+    }
+
+    *[Symbol.iterator]() {
+        for (let i = 0; i < this.length; i++) {
+            yield this.get(i);
+        }
+    }
+
+    /**
+     * Copy segments [start, end) into standalone column arrays, e.g. to post from a worker
+     * @returns {Object} { length, columns } - column buffers can be transferred
+     */
+    exportRange(start = 0, end = this.length) {
+        const columns = {};
+        for (const name in this.columns) {
+            columns[name] = this.columns[name].slice(start, end);
+        }
+        return { length: end - start, columns };
+    }
+
+    /**
+     * Append segments produced by exportRange()
+     */
+    appendRange(range) {
+        this.reserve(this.length + range.length);
+        for (const name in this.columns) {
+            this.columns[name].set(range.columns[name], this.length);
+        }
+        this.length += range.length;
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * Stock Simulator
+ * Heightmap material removal: sweeps the tool profile along the toolpath over the stock rectangle
+ */
+
+class StockSimulator {
+    // Most grid nodes along the longer side of the stock; the 3D mesh needs fewer than 65536 nodes in all
+    static MAX_NODES = 200;
+
+    // Tool placements carved per update(), so simulating a long program doesn't stall the page
+    static STAMP_BUDGET = 100000;
+
+    // flat = end mill, ball = ball nose, vbit/drill = cone with an included angle, laser = removes nothing
+    static TOOL_SHAPES = ['flat', 'ball', 'vbit', 'drill', 'laser'];
+
+    constructor() {
+        this.defaultTool = { shape: 'flat', diameter: 3.175, angle: 90 }; // Used for tools missing from `tools`
+        this.tools = new Map(); // { toolNum: { shape, diameter, angle } }
+        this.segments = new SegmentStore();
+        this.stock = null;
+        this.cols = 0;
+        this.rows = 0;
+        this.cellSize = 0;
+        this.heights = null; // Float32Array of rows * cols surface Z values, row-major from minY; null without stock
+        this.kernels = new Map(); // Tool profile stamps by tool key, for the current cell size
+        this.doneIndex = 0; // Segments [0, doneIndex) are carved
+        this.partial = { index: -1, progress: 0 }; // Part of segment doneIndex carved while animating
+        this.version = 0; // Incremented whenever heights change, so renderers know to rebuild
+    }
+
+    /**
+     * Set the tool shapes, and the shape used for tools without one
+     * @param {Map} tools - { toolNum: { shape, diameter, angle } }, diameter in mm and V-bit angle in degrees
+     * @param {Object} defaultTool - { shape, diameter, angle }
+     */
+    setTools(tools, defaultTool) {
+        this.tools = tools;
+        if (defaultTool) this.defaultTool = defaultTool;
+        this.kernels.clear();
+        this.reset();
+    }
+
+    /**
+     * Set the segments to carve
+     */
+    setSegments(segments) {
+        this.segments = segments;
+        this.reset();
+    }
+
+    /**
+     * Set the stock box and size the heightmap grid to it
+     * @param {Object|null} stock - { minX, minY, minZ, maxX, maxY, maxZ } in mm, or null
+     */
+    setStock(stock) {
+        const width = stock ? stock.maxX - stock.minX : 0;
+        const height = stock ? stock.maxY - stock.minY : 0;
+        if (!(width > 0 && height > 0 && stock.maxZ > stock.minZ)) {
+            this.stock = null;
+            this.heights = null;
+            this.version++;
+            return;
+        }
+
+        this.stock = { ...stock };
+        this.cellSize = Math.max(width, height) / (StockSimulator.MAX_NODES - 1);
+        this.cols = Math.min(StockSimulator.MAX_NODES, Math.round(width / this.cellSize) + 1);
+        this.rows = Math.min(StockSimulator.MAX_NODES, Math.round(height / this.cellSize) + 1);
+        this.heights = new Float32Array(this.cols * this.rows);
+        this.kernels.clear();
+        this.reset();
+    }
+
+    /**
+     * Restore the uncut stock
+     */
+    reset() {
+        if (this.heights) this.heights.fill(this.stock.maxZ);
+        this.doneIndex = 0;
+        this.partial = { index: -1, progress: 0 };
+        this.version++;
+    }
+
+    /**
+     * Carve the toolpath up to an animation position, continuing from the last call
+     * Going backwards starts over from uncut stock.
+     * @param {number} index - Segments before this are carved in full
+     * @param {number} progress - 0-1 part of segment `index` carved too
+     * @returns {boolean} True once the position is reached; false if the stamp budget ran out first
+     */
+    update(index, progress = 1) {
+        if (!this.heights) return true;
+        index = Math.min(index, this.segments.length);
+
+        if (index < this.doneIndex || (index === this.partial.index && progress < this.partial.progress)) {
+            this.reset();
+        }
+
+        let budget = StockSimulator.STAMP_BUDGET;
+        let carved = false;
+        while (this.doneIndex < index && budget > 0) {
+            budget -= this.carveSegment(this.doneIndex, 1);
+            this.doneIndex++;
+            carved = true;
+        }
+
+        const done = this.doneIndex === index;
+        if (done && index < this.segments.length && progress > 0 &&
+            (index !== this.partial.index || progress !== this.partial.progress)) {
+            // Carving is a running minimum, so carving the whole segment later gives the same surface
+            this.carveSegment(index, progress);
+            this.partial = { index, progress };
+            carved = true;
+        }
+
+        if (carved) this.version++;
+        return done;
+    }
+
+    /**
+     * Carve the first `progress` of a segment by stamping the tool along it
+     * @returns {number} Number of stamps made
+     */
+    carveSegment(i, progress) {
+        const c = this.segments.columns;
+        const type = this.segments.getType(i);
+        if (type === 'retract') return 0;
+
+        const x0 = c.startX[i];
+        const y0 = c.startY[i];
+        const z0 = c.startZ[i];
+        const x1 = x0 + (c.endX[i] - x0) * progress;
+        const y1 = y0 + (c.endY[i] - y0) * progress;
+        const z1 = z0 + (c.endZ[i] - z0) * progress;
+
+        // Moves above the stock remove nothing
+        if (Math.min(z0, z1) >= this.stock.maxZ) return 0;
+
+        const tool = this.getTool(c.tool[i]);
+        if (tool.shape === 'laser') return 0;
+        const kernel = this.getKernel(tool);
+        const steps = Math.max(1, Math.ceil(Math.hypot(x1 - x0, y1 - y0) / (this.cellSize / 2)));
+        for (let s = 0; s <= steps; s++) {
+            const t = s / steps;
+            this.stamp(x0 + (x1 - x0) * t, y0 + (y1 - y0) * t, z0 + (z1 - z0) * t, kernel);
+        }
+        return steps + 1;
+    }
+
+    /**
+     * Lower the heightmap to the tool profile with its tip at (x, y, z)
+     */
+    stamp(x, y, z, kernel) {
+        const { minX, minY, minZ } = this.stock;
+        const col = Math.round((x - minX) / this.cellSize);
+        const row = Math.round((y - minY) / this.cellSize);
+        const { dCol, dRow, dz } = kernel;
+
+        for (let k = 0; k < dz.length; k++) {
+            const i = col + dCol[k];
+            const j = row + dRow[k];
+            if (i < 0 || j < 0 || i >= this.cols || j >= this.rows) continue;
+
+            // Cuts through the bottom leave the stock bottom, not a deeper hole
+            const h = Math.max(minZ, z + dz[k]);
+            const index = j * this.cols + i;
+            if (h < this.heights[index]) this.heights[index] = h;
+        }
+    }
+
+    /**
+     * Get the shape of a tool, falling back to the default tool
+     */
+    getTool(toolNum) {
+        const tool = this.tools.get(toolNum);
+        return {
+            shape: tool && tool.shape ? tool.shape : this.defaultTool.shape,
+            diameter: tool && tool.diameter > 0 ? tool.diameter : this.defaultTool.diameter,
+            angle: tool && tool.angle > 0 ? tool.angle : this.defaultTool.angle
+        };
+    }
+
+    /**
+     * Get the grid offsets under a tool and the height of its profile above the tip at each
+     * @returns {Object} { dCol, dRow, dz }
+     */
+    getKernel(tool) {
+        const key = `${tool.shape}:${tool.diameter}:${tool.angle}`;
+        let kernel = this.kernels.get(key);
+        if (kernel) return kernel;
+
+        const radius = tool.diameter / 2;
+        const reach = Math.floor(radius / this.cellSize);
+        const slope = 1 / Math.tan(tool.angle * Math.PI / 360);
+        const dCol = [];
+        const dRow = [];
+        const dz = [];
+
+        // The center node is always cut, so tools narrower than a cell still leave a trace
+        for (let j = -reach; j <= reach; j++) {
+            for (let i = -reach; i <= reach; i++) {
+                const d = Math.hypot(i, j) * this.cellSize;
+                if (d > radius) continue;
+
+                dCol.push(i);
+                dRow.push(j);
+                if (tool.shape === 'ball') dz.push(radius - Math.sqrt(radius * radius - d * d));
+                else if (tool.shape === 'vbit' || tool.shape === 'drill') dz.push(d * slope);
+                else dz.push(0);
+            }
+        }
+
+        kernel = { dCol: Int32Array.from(dCol), dRow: Int32Array.from(dRow), dz: Float32Array.from(dz) };
+        this.kernels.set(key, kernel);
+        return kernel;
+    }
+
+    /**
+     * Get the surface height of a grid node
+     */
+    getHeight(col, row) {
+        return this.heights[row * this.cols + col];
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * Tool Library
+ * User-defined tool geometry and cutting data, matched to the tools a program uses by number or name
+ */
+
+class ToolLibrary {
+    // Tool shapes with their display names; V-bits and drills also have a point angle
+    static SHAPES = {
+        flat: 'Flat End Mill',
+        ball: 'Ball Nose',
+        vbit: 'V-Bit',
+        drill: 'Drill',
+        laser: 'Laser'
+    };
+
+    // Point angle (degrees) given to tools when they become drills
+    static DRILL_ANGLE = 118;
+
+    constructor() {
+        this.entries = []; // { id, number, name, shape, diameter, angle, fluteLength, chipLoad } - see add()
+        this.nextId = 1;
+    }
+
+    /**
+     * Add a tool
+     * @param {Object} fields - number (T number to match, or null), name (matched when the number isn't),
+     *   shape (key of SHAPES), diameter and fluteLength in mm, angle in degrees (V-bit/drill),
+     *   chipLoad in mm per tooth
+     * @returns {Object} The new entry
+     */
+    add(fields = {}) {
+        const entry = {
+            id: this.nextId++,
+            number: null,
+            name: '',
+            shape: 'flat',
+            diameter: 3.175,
+            angle: 90,
+            fluteLength: 12,
+            chipLoad: 0.025
+        };
+        this.entries.push(entry);
+        this.update(entry.id, fields);
+        return entry;
+    }
+
+    /**
+     * Change fields of a tool, ignoring invalid values
+     */
+    update(id, fields) {
+        const entry = this.entries.find(e => e.id === id);
+        if (!entry) return;
+
+        if ('number' in fields) entry.number = Number.isInteger(fields.number) && fields.number >= 0 ? fields.number : null;
+        if (typeof fields.name === 'string') entry.name = fields.name.trim();
+        if (fields.shape in ToolLibrary.SHAPES) {
+            // Drills have a standard point angle rather than the V-bit default
+            if (fields.shape === 'drill' && entry.shape !== 'drill' && !('angle' in fields)) entry.angle = ToolLibrary.DRILL_ANGLE;
+            entry.shape = fields.shape;
+        }
+        for (const key of ['diameter', 'angle', 'fluteLength', 'chipLoad']) {
+            if (fields[key] > 0) entry[key] = fields[key];
+        }
+        if (entry.angle >= 180) entry.angle = 90;
+    }
+
+    /**
+     * Remove a tool
+     */
+    remove(id) {
+        this.entries = this.entries.filter(e => e.id !== id);
+    }
+
+    /**
+     * Find the library tool for a program tool: by T number first, then by name
+     * @param {number} toolNum - T number used in the program
+     * @param {string} name - Tool name from the program comments, if any
+     * @returns {Object|null} The entry, or null if none matches
+     */
+    match(toolNum, name) {
+        const byNumber = this.entries.find(e => e.number === toolNum);
+        if (byNumber) return byNumber;
+
+        const normalized = ToolLibrary.normalizeName(name);
+        if (!normalized) return null;
+        return this.entries.find(e => e.name && ToolLibrary.normalizeName(e.name) === normalized) || null;
+    }
+
+    /**
+     * Get the geometry renderers and the simulator use for an entry
+     * @returns {Object} { shape, diameter, angle, fluteLength }
+     */
+    static getGeometry(entry) {
+        return { shape: entry.shape, diameter: entry.diameter, angle: entry.angle, fluteLength: entry.fluteLength };
+    }
+
+    /**
+     * Compare names ignoring case and spacing
+     */
+    static normalizeName(name) {
+        return typeof name === 'string' ? name.trim().toLowerCase().replace(/\s+/g, ' ') : '';
+    }
+
+    /**
+     * Get the entries to save
+     */
+    toJSON() {
+        return this.entries;
+    }
+
+    /**
+     * Replace the entries with saved ones
+     * @param {Array<Object>} saved - Output of toJSON()
+     */
+    load(saved) {
+        this.entries = [];
+        this.nextId = 1;
+        if (!Array.isArray(saved)) return;
+        for (const fields of saved) this.add(fields);
+    }
+}
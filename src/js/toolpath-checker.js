@@ -0,0 +1,105 @@
+/**
+ * Toolpath Checker
+ * Analysis pass over parsed segments for likely crashes: rapids through the stock and plunges that are too fast
+ */
+
+class ToolpathChecker {
+    // Finding types with the severity they are listed with and the color of their markers
+    static FINDING_TYPES = {
+        rapid: { severity: 'error', color: '#f44336' },
+        plunge: { severity: 'warning', color: '#ff9800' }
+    };
+
+    // Distance (mm) a rapid may dip below the safe Z before it counts, so rapids along the stock top aren't flagged
+    static Z_TOLERANCE = 0.001;
+
+    constructor() {
+        this.safeZ = null; // Rapids moving sideways must stay at or above this Z; null = stock top (Z0 without stock)
+        this.maxPlungeRate = 0; // Fastest allowed downward feed in mm/min; 0 = not checked
+        this.findings = []; // { type, severity, lineNum, index, message, point } - point is { x, y, z, a, b, c }
+    }
+
+    /**
+     * Set the check limits
+     * @param {Object} settings - { safeZ, maxPlungeRate } as in the constructor
+     */
+    setSettings(settings) {
+        this.safeZ = typeof settings.safeZ === 'number' && isFinite(settings.safeZ) ? settings.safeZ : null;
+        this.maxPlungeRate = settings.maxPlungeRate > 0 ? settings.maxPlungeRate : 0;
+    }
+
+    /**
+     * Get the Z rapids are checked against, in work coordinates
+     * @param {Object|null} stock - { minX, minY, minZ, maxX, maxY, maxZ } in mm, or null
+     */
+    getSafeZ(stock) {
+        if (this.safeZ !== null) return this.safeZ;
+        return stock ? stock.maxZ : 0;
+    }
+
+    /**
+     * Check parsed segments
+     * Z-only rapids may go below the safe Z, since peck drilling rapids back down into its own hole.
+     * @param {SegmentStore} segments - Parsed segments
+     * @param {Object|null} stock - Stock box in work coordinates, whose top is the safe Z unless one is set
+     * @param {Function} getFeedRate - (segment) => feed rate in mm/min, e.g. Animator.getFeedRate
+     * @param {number} offsetZ - Work Z 0 in the segments' frame (see GCodeParser.getFrameOffset)
+     * @returns {Array<Object>} The findings, one per type and line (arcs and cycles are split into many moves)
+     */
+    check(segments, stock, getFeedRate, offsetZ = 0) {
+        this.findings = [];
+        const safeZ = this.getSafeZ(stock) + offsetZ - ToolpathChecker.Z_TOLERANCE;
+        const c = segments.columns;
+
+        for (let i = 0; i < segments.length; i++) {
+            const type = segments.getType(i);
+            const dz = c.endZ[i] - c.startZ[i];
+
+            if (type === 'rapid' || type === 'home') {
+                const sideways = c.startX[i] !== c.endX[i] || c.startY[i] !== c.endY[i] ||
+                    c.startA[i] !== c.endA[i] || c.startB[i] !== c.endB[i] || c.startC[i] !== c.endC[i];
+                const lowZ = Math.min(c.startZ[i], c.endZ[i]);
+                if (sideways && lowZ < safeZ) {
+                    const depth = safeZ + ToolpathChecker.Z_TOLERANCE - lowZ;
+                    this.addFinding('rapid', segments, i, dz > 0 ? 'start' : 'end',
+                        `Rapid moves sideways ${depth.toFixed(2)} mm below the safe Z`);
+                }
+            } else if (type === 'cut' && this.maxPlungeRate > 0 && dz < 0 && c.endZ[i] < safeZ) {
+                // Only plunges into the stock count, and only the downward part of a ramp
+                const length = segments.getLength(i);
+                const plungeRate = length > 0 ? getFeedRate(segments.get(i)) * -dz / length : 0;
+                if (plungeRate > this.maxPlungeRate) {
+                    this.addFinding('plunge', segments, i, 'end',
+                        `Plunges at ${Math.round(plungeRate)} mm/min, over the ${this.maxPlungeRate} mm/min limit`);
+                }
+            }
+        }
+        return this.findings;
+    }
+
+    /**
+     * Record a finding at the start or end of a segment, unless its line already has one of that type
+     */
+    addFinding(type, segments, i, at, message) {
+        const lineNum = segments.columns.lineNum[i];
+        const last = this.findings[this.findings.length - 1];
+        if (last && last.type === type && last.lineNum === lineNum) return;
+
+        const segment = segments.get(i);
+        this.findings.push({
+            type,
+            severity: ToolpathChecker.FINDING_TYPES[type].severity,
+            lineNum,
+            index: i,
+            message,
+            point: segment[at]
+        });
+    }
+
+    /**
+     * Get findings from the last check
+     */
+    getFindings() {
+        return this.findings;
+    }
+}
@@ -0,0 +1,27 @@
+/**
+ * Animator Tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { GCodeParser, Animator } = loadScripts(['segment-store.js', 'metadata-extractor.js', 'parser.js', 'animator.js']);
+
+/**
+ * Parse a program and estimate its run time in seconds
+ */
+async function estimate(gcode) {
+    const parser = new GCodeParser();
+    const animator = new Animator();
+    animator.setSegments(await parser.parseString(gcode));
+    return animator.estimatedTotalTime;
+}
+
+test('inverse time rotary-only moves take 60/F seconds', async () => {
+    assert.strictEqual(await estimate('G93\nG1 A90 F2\nG1 A180 F2'), 60);
+});
+
+test('inverse time moves take 60/F seconds with or without XYZ motion', async () => {
+    assert.strictEqual(await estimate('G93\nG1 X10 F4\nG1 A90 F2\nG1 X20 A180 F1'), 105);
+});
@@ -0,0 +1,23 @@
+/**
+ * Test helper: loads the browser scripts into a VM context, so tests need no dependencies
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Load browser scripts into a fresh context, exposing their classes on it
+ * @param {Array<string>} files - Script names in src/js, in load order
+ */
+function loadScripts(files) {
+    const context = vm.createContext({ console, TextDecoder, Blob, performance: { now: () => 0 }, setTimeout });
+    for (const file of files) {
+        const source = fs.readFileSync(path.join(__dirname, '..', 'src', 'js', file), 'utf8');
+        // Top-level classes aren't properties of the global object, so assign them to it
+        vm.runInContext(source.replace(/^class (\w+)/m, 'globalThis.$1 = class $1'), context);
+    }
+    return context;
+}
+
+module.exports = { loadScripts };
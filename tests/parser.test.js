@@ -0,0 +1,295 @@
+/**
+ * Parser Tests
+ * Run with `node --test tests/` - the browser scripts are loaded into a VM context, no dependencies needed
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { GCodeParser } = loadScripts(['segment-store.js', 'metadata-extractor.js', 'parser.js']);
+
+/**
+ * Parse a program, configuring the parser first if needed
+ * @param {Function} setup - Optional (parser) => void
+ */
+async function parse(gcode, setup) {
+    const parser = new GCodeParser();
+    if (setup) setup(parser);
+    await parser.parseString(gcode);
+    return parser;
+}
+
+/**
+ * Get the segments made from one source line
+ */
+function segmentsOf(parser, lineNum) {
+    const found = [];
+    for (let i = 0; i < parser.segments.length; i++) {
+        const segment = parser.segments.get(i);
+        if (segment.lineNum === lineNum) found.push(segment);
+    }
+    return found;
+}
+
+/**
+ * Get the codes of the diagnostics raised, in order
+ */
+function diagnosticCodes(parser) {
+    return Array.from(parser.diagnostics, diagnostic => diagnostic.code);
+}
+
+/**
+ * Round to micrometers, so float noise doesn't fail comparisons
+ */
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// The same square cut at two fixtures, G55 100 mm along X from G54
+const TWO_FIXTURES = [
+    'G54', 'G0 X0 Y0', 'G1 X10 F500', 'G1 Y10',
+    'G55', 'G0 X0 Y0', 'G1 X10 F500', 'G1 Y10'
+].join('\n');
+
+const OFFSETS = [{ x: 20, y: 5, z: -30 }, { x: 120, y: 5, z: -30 }];
+
+/**
+ * Get the X range of the cuts made at each fixture
+ */
+function cutRanges(segments) {
+    const ranges = [];
+    for (let i = 0; i < segments.length; i++) {
+        const segment = segments.get(i);
+        if (segment.type !== 'cut') continue;
+        const fixture = segment.lineNum <= 4 ? 0 : 1;
+        if (!ranges[fixture]) ranges[fixture] = { min: Infinity, max: -Infinity };
+        ranges[fixture].min = Math.min(ranges[fixture].min, segment.start.x, segment.end.x);
+        ranges[fixture].max = Math.max(ranges[fixture].max, segment.start.x, segment.end.x);
+    }
+    return ranges;
+}
+
+test('work frame places later fixtures relative to the first', async () => {
+    const parser = new GCodeParser();
+    parser.setWorkOffsets(OFFSETS);
+    await parser.parseString(TWO_FIXTURES);
+
+    const [first, second] = cutRanges(parser.segments);
+    assert.deepStrictEqual(first, { min: 0, max: 10 });
+    assert.deepStrictEqual(second, { min: 100, max: 110 });
+});
+
+test('machine frame places each fixture at its offset', async () => {
+    const parser = new GCodeParser();
+    parser.setWorkOffsets(OFFSETS);
+    parser.setCoordinateFrame('machine');
+    await parser.parseString(TWO_FIXTURES);
+
+    const [first, second] = cutRanges(parser.segments);
+    assert.deepStrictEqual(first, { min: 20, max: 30 });
+    assert.deepStrictEqual(second, { min: 120, max: 130 });
+});
+
+test('work frame keeps a single G55 program at its own origin', async () => {
+    const parser = new GCodeParser();
+    parser.setWorkOffsets(OFFSETS);
+    await parser.parseString('G55\nG0 X0 Y0\nG1 X10 F500');
+
+    const segment = parser.segments.get(parser.segments.length - 1);
+    assert.deepStrictEqual([segment.start.x, segment.end.x], [0, 10]);
+});
+
+test('a G55-only program starts at the G55 origin', async () => {
+    const parser = new GCodeParser();
+    parser.setWorkOffsets(OFFSETS);
+    await parser.parseString('G55\nG0 Z5\nG0 X0 Y0\nG1 Z-1 F100\nG1 X10');
+
+    const first = parser.segments.get(0);
+    assert.deepStrictEqual([first.start.x, first.start.y, first.start.z], [0, 0, 0]);
+    const bounds = parser.getBounds();
+    assert.deepStrictEqual([bounds.minX, bounds.maxX], [0, 10]);
+});
+
+test('a dwell after the last motion is kept', async () => {
+    const program = 'G1 X10 F600\nG4 P2\nG4 P1.5\nM30';
+
+    const parser = new GCodeParser();
+    const segments = await parser.parseString(program);
+    assert.strictEqual(segments.get(segments.length - 1).dwell, 3.5);
+
+    // Streamed parses hand segments over in batches, which must include the dwell too
+    const streamed = new GCodeParser();
+    const batches = [];
+    await streamed.parseFile(new Blob([program]), null, (range) => batches.push(range));
+    const last = batches[batches.length - 1];
+    assert.strictEqual(last.columns.dwell[last.length - 1], 3.5);
+});
+
+test('R-word arcs take the short way, or the long way with a negative R', async () => {
+    const parser = await parse('G0 X0 Y0\nG2 X5 Y5 R5 F100\nG0 X0 Y0\nG2 X5 Y5 R-5\nG2 X5 Y5 R5');
+
+    for (const [lineNum, sweep] of [[2, Math.PI / 2], [4, 3 * Math.PI / 2]]) {
+        const pieces = segmentsOf(parser, lineNum);
+        const total = pieces.reduce((sum, segment) => sum + Math.abs(segment.sweep), 0);
+        const end = pieces[pieces.length - 1].end;
+        assert.strictEqual(round(total), round(sweep), `line ${lineNum}`);
+        assert.deepStrictEqual([round(end.x), round(end.y)], [5, 5], `line ${lineNum}`);
+        assert.ok(pieces.every(segment => segment.radius === 5), `line ${lineNum}`);
+    }
+
+    // A full circle has no single center for a radius, so it is rejected
+    assert.strictEqual(segmentsOf(parser, 5).length, 0);
+    assert.deepStrictEqual(diagnosticCodes(parser), ['ARC_FULL_CIRCLE_R']);
+});
+
+test('inch programs are converted to mm, and a units switch is reported', async () => {
+    const parser = await parse('G20\nG1 X1 F10\nG21\nG1 X50');
+
+    const [inch, mm] = [segmentsOf(parser, 2)[0], segmentsOf(parser, 4)[0]];
+    assert.strictEqual(round(inch.end.x), 25.4);
+    assert.strictEqual(round(inch.feedRate), 254);
+    assert.strictEqual(mm.end.x, 50);
+
+    const unitsInfo = parser.getUnitsInfo();
+    assert.strictEqual(unitsInfo.programUnits, 'inches');
+    assert.strictEqual(unitsInfo.mixed, true);
+    assert.deepStrictEqual(diagnosticCodes(parser), ['MIXED_UNITS']);
+});
+
+test('canned drilling cycles expand into moves on their own line', async () => {
+    // G98 returns to the initial Z between holes
+    const drill = await parse('G0 Z5\nG98 G81 X10 Y10 Z-3 R2 F100\nX20\nG80\nG0 X0');
+    const hole = segmentsOf(drill, 3).map(segment => [segment.type, segment.end.x, segment.end.z]);
+    assert.deepStrictEqual(hole, [['rapid', 20, 5], ['rapid', 20, 2], ['cut', 20, -3], ['rapid', 20, 5]]);
+    assert.strictEqual(segmentsOf(drill, 5)[0].type, 'rapid'); // G80 cancels the cycle
+
+    // G99 G83 pecks Q deep, returning to the R plane after each peck
+    const peck = await parse('G0 Z5\nG99 G83 X10 Y10 Z-6 R2 Q2 F100\nG80');
+    const pecks = segmentsOf(peck, 2).filter(segment => segment.type === 'cut').map(segment => round(segment.end.z));
+    assert.deepStrictEqual(pecks, [0, -2, -4, -6]);
+    assert.strictEqual(segmentsOf(peck, 2).pop().end.z, 2);
+});
+
+test('parameters and expressions are evaluated in words', async () => {
+    const parser = await parse('#1=5\n#<depth>=[#1*2]\nG1 X[#<depth>+SQRT[16]] Y[ABS[-3]] Z[#1 MOD 3] F100');
+    const end = segmentsOf(parser, 3)[0].end;
+    assert.deepStrictEqual([end.x, end.y, end.z], [14, 3, 2]);
+
+    const broken = await parse('G1 X[1/0] F100\n#2=[2+]');
+    assert.strictEqual(broken.segments.length, 0);
+    assert.deepStrictEqual(diagnosticCodes(broken), ['EXPRESSION_ERROR', 'EXPRESSION_ERROR']);
+});
+
+test('O-word loops, subroutines and conditionals run, keeping source line numbers', async () => {
+    const parser = await parse([
+        '#1=0',
+        'o100 while [#1 LT 3]', 'G1 X[#1*10] F100', '#1=[#1+1]', 'o100 endwhile',
+        'o200 sub', 'G1 Y[#1]', 'o200 endsub',
+        'o200 call [7]',
+        'o300 if [#1 EQ 3]', 'G1 Z-1', 'o300 else', 'G1 Z-9', 'o300 endif'
+    ].join('\n'));
+    const moves = Array.from({ length: parser.segments.length }, (_, i) => {
+        const segment = parser.segments.get(i);
+        return [segment.lineNum, segment.end.x, segment.end.y, segment.end.z];
+    });
+    // The first pass moves to X0, where the tool already is
+    assert.deepStrictEqual(moves, [[3, 10, 0, 0], [3, 20, 0, 0], [7, 20, 7, 0], [11, 20, 7, -1]]);
+
+    // Endless loops stop at the iteration limit
+    const endless = await parse('o100 while [1]\nG1 X1 F100\no100 endwhile');
+    assert.deepStrictEqual(diagnosticCodes(endless), ['ITERATION_LIMIT']);
+});
+
+test('helical arcs make P turns within the chord tolerance, keeping the true center', async () => {
+    const parser = await parse('G0 X10 Y0\nG2 X10 Y0 Z-2 I-10 J0 P2 F100', p => p.setArcTolerance(0.01));
+    const pieces = segmentsOf(parser, 2);
+
+    const total = pieces.reduce((sum, segment) => sum + segment.sweep, 0);
+    assert.strictEqual(round(total), round(-4 * Math.PI));
+    assert.strictEqual(round(pieces[pieces.length - 1].end.z), -2);
+    for (const segment of pieces) {
+        assert.deepStrictEqual([segment.center.x, segment.center.y, segment.radius], [0, 0, 10]);
+        assert.ok(segment.radius * (1 - Math.cos(segment.sweep / 2)) <= 0.01);
+    }
+});
+
+test('arc centers follow G90.1/G91.1, and G91 arcs end relative to their start', async () => {
+    // G91: the end point and (G91.1) the center are both offsets from the start at X15
+    const relative = await parse('G0 X10 Y0\nG91 G0 X5\nG2 X10 I5 J0 F100');
+    const pieces = segmentsOf(relative, 3);
+    assert.deepStrictEqual([pieces[0].center.x, pieces[0].center.y, pieces[0].radius], [20, 0, 5]);
+    assert.strictEqual(round(pieces[pieces.length - 1].end.x), 25);
+
+    // G90.1: I/J give the center itself
+    const absolute = await parse('G0 X25 Y0\nG90.1\nG3 X35 Y0 I30 J0 F100');
+    const arc = segmentsOf(absolute, 3);
+    assert.deepStrictEqual([arc[0].center.x, arc[0].center.y, arc[0].radius], [30, 0, 5]);
+    assert.strictEqual(round(arc.reduce((sum, segment) => sum + segment.sweep, 0)), round(Math.PI));
+});
+
+test('laser mode turns cuts with the laser off into travel', async () => {
+    const program = 'M4 S500\nG1 X10 F1000\nS0\nG1 X20\nS800\nG1 X30\nM5\nG1 X40';
+    const types = (parser) => Array.from({ length: parser.segments.length }, (_, i) => parser.segments.get(i).type);
+
+    assert.deepStrictEqual(types(await parse(program, p => p.setLaserMode(true))), ['cut', 'rapid', 'cut', 'rapid']);
+    assert.deepStrictEqual(types(await parse(program)), ['cut', 'cut', 'cut', 'cut']);
+});
+
+test('feed modes are tracked on segments, with G95 feeds converted to mm', async () => {
+    const parser = await parse('G20 G95 S1000 M3\nG1 X1 F0.004\nG93\nG1 X2 F2\nG94\nG1 X3 F10');
+    const modes = [2, 4, 6].map(lineNum => {
+        const segment = segmentsOf(parser, lineNum)[0];
+        return [segment.feedMode, round(segment.feedRate)];
+    });
+    assert.deepStrictEqual(modes, [['perRevolution', 0.102], ['inverseTime', 2], ['perMinute', 254]]);
+});
+
+test('dialects are detected from the header and decide what is accepted', async () => {
+    const program = '(Generated for GRBL)\nG81 X1 Z-1 R1 F100\nG0 G1 X5\nM0 (tool 2)\nG1 X0';
+
+    const grbl = await parse(program);
+    assert.strictEqual(grbl.activeDialect, 'grbl');
+    assert.deepStrictEqual(diagnosticCodes(grbl), ['DIALECT_UNSUPPORTED', 'MODAL_GROUP_CONFLICT']);
+
+    const generic = await parse(program, p => p.setDialect('generic'));
+    assert.deepStrictEqual(diagnosticCodes(generic), []);
+
+    // LinuxCNC changes tools with M6; an M0 with a tool comment is only a pause
+    const linuxcnc = await parse('T3 M6\nM0 (tool 2)\nG1 X1 F100', p => p.setDialect('linuxcnc'));
+    assert.strictEqual(segmentsOf(linuxcnc, 3)[0].tool, 3);
+});
+
+test('printer files split moves into extrusion, travel and retracts by layer and feature', async () => {
+    const parser = await parse([
+        ';FLAVOR:Marlin', 'M82',
+        ';LAYER:0', ';TYPE:WALL-OUTER', 'G1 X10 E2 F1200', 'G1 E1', 'G0 X20', 'G1 E2',
+        'G92 E0', ';LAYER:1', ';TYPE:FILL', 'G1 Z0.2 X30 E1.5'
+    ].join('\n'));
+    const moves = Array.from({ length: parser.segments.length }, (_, i) => {
+        const segment = parser.segments.get(i);
+        return [segment.type, segment.extrusion, segment.layer, parser.features[segment.feature]];
+    });
+    assert.deepStrictEqual(moves, [
+        ['cut', 2, 0, 'WALL-OUTER'], ['retract', -1, 0, 'WALL-OUTER'], ['rapid', 0, 0, 'WALL-OUTER'],
+        ['retract', 1, 0, 'WALL-OUTER'], ['cut', 1.5, 1, 'FILL']
+    ]);
+
+    const printInfo = parser.getPrintInfo();
+    assert.deepStrictEqual([printInfo.printing, printInfo.layerCount, printInfo.filamentLength], [true, 2, 3.5]);
+});
+
+test('moves past the soft limits are flagged in machine coordinates', async () => {
+    const limits = { min: { x: 0, y: 0, z: -50 }, max: { x: 200, y: 200, z: 0 } };
+    const parser = await parse('G0 Z-5\nG1 X100 F100\nG1 X250\nG1 Z-60', p => {
+        p.setWorkOffsets([{ x: 20, y: 0, z: 0 }]);
+        p.setMachineLimits(limits);
+    });
+
+    // X100 is X120 on the machine, X250 is X270
+    assert.deepStrictEqual([2, 3, 4].map(lineNum => segmentsOf(parser, lineNum)[0].overLimit), [0, 1, 1]);
+    const limitInfo = parser.getLimitInfo();
+    assert.strictEqual(limitInfo.violations, 2);
+    assert.deepStrictEqual({ ...limitInfo.excess }, { x: 70, y: 0, z: 10 });
+    assert.deepStrictEqual(diagnosticCodes(parser), ['SOFT_LIMIT', 'SOFT_LIMIT']);
+});
@@ -0,0 +1,40 @@
+/**
+ * Toolpath Checker Tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { GCodeParser, Animator, ToolpathChecker } = loadScripts(
+    ['segment-store.js', 'metadata-extractor.js', 'parser.js', 'animator.js', 'toolpath-checker.js']);
+
+const STOCK = { minX: 0, minY: 0, minZ: -10, maxX: 100, maxY: 100, maxZ: 0 };
+
+/**
+ * Parse a program and check it against STOCK
+ * @param {string} frame - 'work' or 'machine'
+ */
+async function check(gcode, frame) {
+    const parser = new GCodeParser();
+    parser.setWorkOffsets([{ x: 50, y: 50, z: -30 }]);
+    parser.setCoordinateFrame(frame);
+    const segments = await parser.parseString(gcode);
+
+    const animator = new Animator();
+    animator.setSegments(segments);
+    const checker = new ToolpathChecker();
+    return checker.check(segments, STOCK, seg => animator.getFeedRate(seg), parser.getFrameOffset().z);
+}
+
+test('rapids above the stock pass in both frames', async () => {
+    for (const frame of ['work', 'machine']) {
+        assert.strictEqual((await check('G0 Z5\nG0 X50\nG1 Z-2 F300', frame)).length, 0, frame);
+    }
+});
+
+test('rapids through the stock are found in the machine frame', async () => {
+    const findings = await check('G0 Z5\nG1 Z-2 F300\nG0 X50', 'machine');
+    assert.deepStrictEqual(Array.from(findings, f => [f.type, f.lineNum]), [['rapid', 3]]);
+    assert.strictEqual(findings[0].point.z, -32);
+});